@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Secrets companion script
+ *
+ *   node scripts/secrets.js list              Show every secret and its decoded value
+ *   node scripts/secrets.js verify            Round-trip every secret and parse it as its type
+ *   node scripts/secrets.js verify --dist     ...and report secrets left in plaintext in dist/
+ *   node scripts/secrets.js hash <word>       Print a magic word's digest for magicWords.js
+ *
+ * Exits non-zero if any secret fails verification.
+ */
+import { readdirSync, readFileSync, existsSync, statSync } from 'node:fs';
+import { resolve, join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_MANIFEST, createKey, decrypt, generateModule, loadManifest } from './vite-plugin-secrets.js';
+import { evaluate } from '../src/lib/expression.js';
+import { hashMagicWord, MAGIC_WORDS } from '../src/lib/magicWords.js';
+
+const root = resolve(fileURLToPath(import.meta.url), '../..');
+
+// Parse a value the way crypto.js will read it at runtime
+const PARSERS = {
+  string: (value) => value,
+  number: (value) => {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) throw new Error('not a number');
+    return number;
+  },
+  expression: (value) => evaluate(value),
+  json: (value) => JSON.parse(value)
+};
+
+function list(manifest) {
+  const width = Math.max(...Object.keys(manifest).map(name => name.length));
+
+  Object.entries(manifest).forEach(([name, { value, type = 'string' }]) => {
+    console.log(`${name.padEnd(width)}  ${type.padEnd(10)}  ${JSON.stringify(value)}`);
+  });
+}
+
+// Emit the virtual module exactly as the plugin would, load it, and check
+// every array decrypts back to its manifest value and parses as its type
+async function verify(manifest) {
+  const source = generateModule(manifest, createKey());
+  const { S, K } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+  let failures = 0;
+
+  Object.entries(manifest).forEach(([name, { value, type = 'string' }]) => {
+    try {
+      const decrypted = decrypt(S[name], K);
+      if (decrypted !== value) throw new Error(`round trip gave ${JSON.stringify(decrypted)}`);
+
+      const parsed = PARSERS[type](decrypted);
+      console.log(`  ok    ${name} = ${JSON.stringify(parsed)}`);
+    } catch (error) {
+      failures++;
+      console.error(`  FAIL  ${name} (${type}): ${error.message}`);
+    }
+  });
+
+  return failures;
+}
+
+function* walk(dir) {
+  for (const name of readdirSync(dir)) {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) yield* walk(path);
+    else if (/\.(js|html)$/.test(name)) yield path;
+  }
+}
+
+// Report secrets that also appear verbatim in the build output - some, like
+// action names, are used in plain code elsewhere, so this only warns
+function scanDist(manifest, dir) {
+  if (!existsSync(dir)) {
+    console.warn(`\n${relative(root, dir)} not found - run npm run build first`);
+    return;
+  }
+
+  const files = [...walk(dir)].map(path => ({ path, text: readFileSync(path, 'utf8') }));
+  const leaks = Object.entries(manifest).filter(([, { value }]) =>
+    value.length >= 6 && files.some(file => file.text.includes(value))
+  );
+
+  console.log(`\nScanned ${files.length} files in ${relative(root, dir)}`);
+  leaks.forEach(([name, { value }]) => {
+    console.warn(`  plaintext  ${name} ${JSON.stringify(value)}`);
+  });
+  if (leaks.length === 0) console.log('  no plaintext secrets found');
+}
+
+async function main() {
+  const [command = 'verify', ...flags] = process.argv.slice(2);
+
+  if (command === 'hash') {
+    if (!flags[0]) {
+      console.error('Usage: node scripts/secrets.js hash <word>');
+      return 1;
+    }
+    const digest = await hashMagicWord(flags[0]);
+    const grant = MAGIC_WORDS[digest];
+    console.log(`'${digest}'${grant ? `  (already grants ${grant})` : ''}`);
+    return 0;
+  }
+
+  const manifest = await loadManifest(resolve(root, DEFAULT_MANIFEST));
+
+  if (command === 'list') {
+    list(manifest);
+    return 0;
+  }
+
+  if (command === 'verify') {
+    console.log(`Verifying ${Object.keys(manifest).length} secrets`);
+    const failures = await verify(manifest);
+    if (flags.includes('--dist')) scanDist(manifest, resolve(root, 'dist'));
+    return failures > 0 ? 1 : 0;
+  }
+
+  console.error(`Unknown command ${command} - use list, verify or hash`);
+  return 1;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (error) => {
+    console.error(error.message);
+    process.exit(1);
+  }
+);
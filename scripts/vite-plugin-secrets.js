@@ -0,0 +1,132 @@
+/**
+ * Vite plugin that encrypts the secrets manifest at build time
+ * Serves `virtual:secrets`, exporting S (each manifest value XOR-encrypted
+ * with a random key) and K (the key). The key is generated once per build or
+ * dev-server start, so the arrays in one bundle say nothing about the next.
+ *
+ * Usage in vite.config.js:
+ *   import secrets from './scripts/vite-plugin-secrets.js'
+ *   plugins: [secrets()]
+ */
+import { randomBytes } from 'node:crypto';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+export const VIRTUAL_ID = 'virtual:secrets';
+const RESOLVED_ID = '\0' + VIRTUAL_ID;
+
+export const DEFAULT_MANIFEST = 'src/lib/secrets.manifest.js';
+export const KEY_LENGTH = 16;
+export const SECRET_TYPES = ['string', 'number', 'expression', 'json'];
+
+/**
+ * Generate a random key with no zero bytes (a zero byte would leave characters in plaintext)
+ * @param {number} [length] - Key length in bytes
+ * @returns {number[]} Key bytes
+ */
+export function createKey(length = KEY_LENGTH) {
+  return Array.from(randomBytes(length), byte => (byte % 255) + 1);
+}
+
+/**
+ * XOR a string with a repeating key - the inverse of d() in crypto.js
+ * @param {string} text - Plaintext
+ * @param {number[]} key - Key bytes
+ * @returns {number[]} Encrypted char codes
+ */
+export function encrypt(text, key) {
+  return Array.from(text, (char, i) => char.charCodeAt(0) ^ key[i % key.length]);
+}
+
+/**
+ * Decrypt an array produced by encrypt()
+ * @param {number[]} arr - Encrypted char codes
+ * @param {number[]} key - Key bytes
+ * @returns {string} Plaintext
+ */
+export function decrypt(arr, key) {
+  return String.fromCharCode(...arr.map((x, i) => x ^ key[i % key.length]));
+}
+
+/**
+ * Load and validate the manifest
+ * @param {string} file - Absolute path to the manifest module
+ * @param {boolean} [fresh] - Bypass Node's module cache (dev server reloads)
+ * @returns {Promise<Object>} Entries keyed by secret name
+ */
+export async function loadManifest(file, fresh = false) {
+  const url = pathToFileURL(file).href + (fresh ? `?t=${Date.now()}` : '');
+  const { default: manifest } = await import(url);
+
+  if (!manifest || typeof manifest !== 'object') {
+    throw new Error(`Secrets manifest ${file} has no default export`);
+  }
+
+  Object.entries(manifest).forEach(([name, entry]) => {
+    if (!entry || typeof entry.value !== 'string') {
+      throw new Error(`Secret ${name} needs a string value`);
+    }
+    if (entry.type && !SECRET_TYPES.includes(entry.type)) {
+      throw new Error(`Secret ${name} has unknown type ${entry.type}`);
+    }
+  });
+
+  return manifest;
+}
+
+/**
+ * Build the source of the virtual module
+ * @param {Object} manifest - Loaded manifest
+ * @param {number[]} key - Key bytes
+ * @returns {string} ES module source
+ */
+export function generateModule(manifest, key) {
+  const entries = Object.entries(manifest)
+    .map(([name, { value }]) => `  ${name}: [${encrypt(value, key).join(',')}]`)
+    .join(',\n');
+
+  return `export const K = [${key.join(',')}];\nexport const S = {\n${entries}\n};\n`;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.manifest] - Manifest path relative to the project root
+ * @param {number[]} [options.key] - Fixed key, for reproducible output only
+ */
+export default function secretsPlugin({ manifest = DEFAULT_MANIFEST, key = null } = {}) {
+  let manifestFile;
+  let buildKey;
+  let fresh = false;
+
+  return {
+    name: 'saturni-secrets',
+
+    configResolved(config) {
+      manifestFile = resolve(config.root, manifest);
+      buildKey = key || createKey();
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      this.addWatchFile(manifestFile);
+      return generateModule(await loadManifest(manifestFile, fresh), buildKey);
+    },
+
+    // Re-encrypt when the manifest is edited during development
+    handleHotUpdate({ file, server }) {
+      if (resolve(file) !== manifestFile) return;
+
+      fresh = true;
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (module) {
+        server.moduleGraph.invalidateModule(module);
+        return [module];
+      }
+    }
+  };
+}
@@ -1,21 +1,53 @@
 /**
  * PlanetarySystem - A realistic orbital mechanics engine for the 7 classical planets
  * 
- * This module provides orbital calculations based on simplified but realistic astronomy.
- * Perfect for mystical/astrological applications without NASA-level complexity.
+ * Planet positions come from JPL's approximate Keplerian elements with Kepler's
+ * equation solved exactly (see astronomy/orbitalElements.js), good to about an
+ * arcminute between 1800 and 2050. The Moon follows the truncated ELP lunar
+ * theory in astronomy/moon.js. getPlanetPosition() maps them to scaled
+ * scene units, tilted out of the ecliptic by each orbit's inclination;
+ * getHeliocentricPosition(), getGeocentricPosition() and
+ * getEquatorialPosition() give the real coordinates.
+ *
+ * The clock runs on UT; positions are computed for Terrestrial Time, ΔT
+ * later, with every conversion going through astronomy/time.js.
  */
+import { heliocentricPosition, ORBITAL_ELEMENTS } from './astronomy/orbitalElements.js';
+import {
+  julianDay,
+  dateFromJulianDay,
+  julianEphemerisDay,
+  terrestrialTime,
+  deltaT,
+  localMeanSiderealTime,
+  localApparentSiderealTime,
+  J2000
+} from './astronomy/time.js';
+import { geocentricPosition, GEOCENTRIC_BODIES } from './astronomy/geocentric.js';
+import { getZodiacPosition } from './astronomy/zodiac.js';
+import { isRetrograde, findStation } from './astronomy/stations.js';
+import { getAspects, getAspectBetween, findExactAspects } from './astronomy/aspects.js';
+import { findSaturnReturns } from './astronomy/saturnReturn.js';
+import { moonPosition, MEAN_DISTANCE_KM } from './astronomy/moon.js';
+import { moonPhase, findLunarEvent, LUNAR_EVENTS } from './astronomy/moonPhase.js';
+import { getLunarMansion } from './astronomy/lunarMansions.js';
+import { getPlanetaryHour, findNextPlanetaryHour } from './astronomy/planetaryHours.js';
+import { getSolarEvents } from './astronomy/sunrise.js';
+import { equatorialPosition } from './astronomy/coordinates.js';
+import { findEclipses, findNextEclipse } from './astronomy/eclipses.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DEG = Math.PI / 180;
 
 export class PlanetarySystem {
   constructor() {
     // Use J2000 epoch (January 1, 2000, 12:00 UTC) as reference
-    this.epochDate = new Date('2000-01-01T12:00:00Z');
-    this.currentTime = 0; // Time in days since epoch
+    this.epochDate = dateFromJulianDay(J2000);
+    this.currentTime = 0; // Time in UT days since epoch
     this.planets = this.initializePlanets();
     
     // Initialize to current date
-    const now = new Date();
-    const daysSinceEpoch = (now - this.epochDate) / (1000 * 60 * 60 * 24);
-    this.setTimeAbsolute(daysSinceEpoch);
+    this.setDate(new Date());
   }
 
   /**
@@ -23,14 +55,12 @@ export class PlanetarySystem {
    * Distances are scaled for visual appeal, periods are Earth-relative
    */
   initializePlanets() {
-    // Approximate positions for 2025-01-10 (today)
-    // These are rough estimates for visual demonstration
     return {
       Sun: {
         name: 'Sun',
         color: '#FDB813',
         size: 1.2,
-        distance: 0, // Sun is at center (relative to Earth's perspective)
+        distance: 0, // Sun is at the center of the scene - see getGeocentricPosition for Earth's view
         period: 365.25, // Earth days for one orbit
         currentAngle: 0,
         initialAngle: 0, // Reference angle at epoch
@@ -41,9 +71,8 @@ export class PlanetarySystem {
         color: '#C0C0C0',
         size: 0.6,
         distance: 2, // Scaled distance units
-        period: 27.3, // Lunar month
+        period: 27.32, // Sidereal month
         currentAngle: 0,
-        initialAngle: 0, // Reference angle at epoch
         eccentricity: 0.05
       },
       Mercury: {
@@ -53,7 +82,6 @@ export class PlanetarySystem {
         distance: 3,
         period: 87.97, // Earth days
         currentAngle: 0,
-        initialAngle: 45, // Starting position
         eccentricity: 0.21
       },
       Venus: {
@@ -63,7 +91,6 @@ export class PlanetarySystem {
         distance: 4,
         period: 224.7,
         currentAngle: 0,
-        initialAngle: 120, // Starting position
         eccentricity: 0.01
       },
       Mars: {
@@ -73,7 +100,6 @@ export class PlanetarySystem {
         distance: 6,
         period: 687,
         currentAngle: 0,
-        initialAngle: 200, // Starting position
         eccentricity: 0.09
       },
       Jupiter: {
@@ -83,7 +109,6 @@ export class PlanetarySystem {
         distance: 8,
         period: 4333, // ~12 Earth years
         currentAngle: 0,
-        initialAngle: 270, // Starting position
         eccentricity: 0.05
       },
       Saturn: {
@@ -93,7 +118,6 @@ export class PlanetarySystem {
         distance: 10,
         period: 10759, // ~29 Earth years
         currentAngle: 0,
-        initialAngle: 330, // Starting position
         eccentricity: 0.06
       },
       Uranus: {
@@ -103,7 +127,6 @@ export class PlanetarySystem {
         distance: 12,
         period: 30687, // ~84 Earth years
         currentAngle: 0,
-        initialAngle: 60, // Starting position
         eccentricity: 0.05
       },
       Neptune: {
@@ -113,7 +136,6 @@ export class PlanetarySystem {
         distance: 14,
         period: 60190, // ~165 Earth years
         currentAngle: 0,
-        initialAngle: 350, // Starting position
         eccentricity: 0.01
       }
     };
@@ -125,16 +147,27 @@ export class PlanetarySystem {
    */
   updateTime(deltaTime) {
     this.currentTime += deltaTime;
+    this.updatePositions();
+  }
+
+  /**
+   * Recompute every body for the current time
+   * Planets take their heliocentric longitude; the Moon its geocentric one
+   */
+  updatePositions() {
+    const jd = this.getJulianEphemerisDay();
     
-    // Update each planet's position based on its orbital period
     Object.values(this.planets).forEach(planet => {
       if (planet.name === 'Sun') return; // Sun stays at center
       
-      // Calculate angular velocity (degrees per day)
-      const angularVelocity = 360 / planet.period;
+      if (planet.name === 'Moon') {
+        planet.lunar = moonPosition(jd);
+        planet.currentAngle = planet.lunar.longitude;
+        return;
+      }
       
-      // Update angle based on time progression
-      planet.currentAngle = (planet.currentAngle + angularVelocity * deltaTime) % 360;
+      planet.heliocentric = heliocentricPosition(planet.name, jd);
+      planet.currentAngle = planet.heliocentric.longitude;
     });
   }
 
@@ -152,17 +185,294 @@ export class PlanetarySystem {
    * @param {number} daysSinceEpoch - Days since J2000 epoch
    */
   setTimeAbsolute(daysSinceEpoch) {
-    // Reset all planets to initial angles
-    Object.values(this.planets).forEach(planet => {
-      if (planet.name === 'Sun') return;
-      
-      // Calculate total angle traveled since epoch
-      const orbits = daysSinceEpoch / planet.period;
-      const angle = (planet.initialAngle + orbits * 360) % 360;
-      planet.currentAngle = angle < 0 ? angle + 360 : angle;
-    });
-    
     this.currentTime = daysSinceEpoch;
+    this.updatePositions();
+  }
+
+  /**
+   * Set the system to a calendar date
+   * @param {Date} date - Instant to show
+   */
+  setDate(date) {
+    this.setTimeAbsolute(julianDay(date) - J2000);
+  }
+
+  /**
+   * Current time as a Date
+   * @returns {Date}
+   */
+  getDate() {
+    return dateFromJulianDay(this.getJulianDay());
+  }
+
+  /**
+   * Current time as a Julian Day
+   * @returns {number} Julian Day, UT
+   */
+  getJulianDay() {
+    return J2000 + this.currentTime;
+  }
+
+  /**
+   * Current time as a Julian Ephemeris Day, what the positions are computed for
+   * @returns {number} Julian Ephemeris Day, TT
+   */
+  getJulianEphemerisDay() {
+    return terrestrialTime(this.getJulianDay());
+  }
+
+  /**
+   * ΔT, the amount Terrestrial Time runs ahead of UT at the current time
+   * @returns {number} Seconds
+   */
+  getDeltaT() {
+    return deltaT(this.getJulianDay());
+  }
+
+  /**
+   * Sidereal time at the current time
+   * @param {number} [longitude] - Degrees east, defaults to Greenwich
+   * @param {Object} [options]
+   * @param {boolean} [options.apparent] - Apparent rather than mean sidereal time
+   * @returns {number} Degrees, divide by 15 for hours
+   */
+  getSiderealTime(longitude = 0, { apparent = false } = {}) {
+    const siderealTime = apparent ? localApparentSiderealTime : localMeanSiderealTime;
+    return siderealTime(this.getJulianDay(), longitude);
+  }
+
+  /**
+   * Real position of a body relative to the Sun, J2000 ecliptic frame
+   * @param {string} planetName - Any planet, 'Earth' or 'Sun'
+   * @returns {Object|null} { x, y, z, longitude, latitude, distance } in au and degrees,
+   *   or null for the Moon and unknown names
+   */
+  getHeliocentricPosition(planetName) {
+    if (planetName === 'Sun') {
+      return { x: 0, y: 0, z: 0, longitude: 0, latitude: 0, distance: 0 };
+    }
+    
+    return heliocentricPosition(planetName, this.getJulianEphemerisDay());
+  }
+
+  /**
+   * Real position of a body as seen from Earth, ecliptic of date by default
+   * @param {string} planetName - Sun, Moon or any planet
+   * @param {Object} [options] - { lightTime, equinox }, see astronomy/geocentric.js
+   * @returns {Object|null} { longitude, latitude, distance, x, y, z, lightTime } in degrees and au
+   */
+  getGeocentricPosition(planetName, options) {
+    return geocentricPosition(planetName, this.getJulianEphemerisDay(), options);
+  }
+
+  /**
+   * Geocentric positions of every body at the current time
+   * @param {Object} [options] - Passed to getGeocentricPosition
+   * @returns {Object} Positions keyed by body name
+   */
+  getAllGeocentricPositions(options) {
+    const positions = {};
+    GEOCENTRIC_BODIES.forEach(name => {
+      positions[name] = this.getGeocentricPosition(name, options);
+    });
+    return positions;
+  }
+
+  /**
+   * Right ascension and declination of a body as seen from Earth, equator of date by default
+   * @param {string} planetName - Sun, Moon or any planet
+   * @param {Object} [options] - { lightTime, equinox }, see astronomy/geocentric.js
+   * @returns {Object|null} { rightAscension, declination } in degrees and distance in au
+   */
+  getEquatorialPosition(planetName, options) {
+    return equatorialPosition(planetName, this.getJulianEphemerisDay(), options);
+  }
+
+  /**
+   * Equatorial positions of every body at the current time
+   * @param {Object} [options] - Passed to getEquatorialPosition
+   * @returns {Object} Positions keyed by body name
+   */
+  getAllEquatorialPositions(options) {
+    const positions = {};
+    GEOCENTRIC_BODIES.forEach(name => {
+      positions[name] = this.getEquatorialPosition(name, options);
+    });
+    return positions;
+  }
+
+  /**
+   * Sign, degree, decan and term of a body
+   * @param {string} planetName - Sun, Moon or any planet
+   * @param {Date} [date] - Instant, defaults to the system's current time
+   * @param {Object} [options] - { zodiac, ayanamsa }, see astronomy/zodiac.js
+   * @returns {Object|null} Zodiac position with a label like "Saturn at 27°14' Pisces"
+   */
+  getZodiacPosition(planetName, date = this.getDate(), options) {
+    return getZodiacPosition(planetName, date, options);
+  }
+
+  /**
+   * Whether a planet appears to move backward
+   * @param {string} planetName - Planet name
+   * @param {Date} [date] - Instant, defaults to the system's current time
+   * @returns {boolean}
+   */
+  isRetrograde(planetName, date = this.getDate()) {
+    return isRetrograde(planetName, date);
+  }
+
+  /**
+   * Next station after a date
+   * @param {string} planetName - Planet name
+   * @param {Date} [date] - Defaults to the system's current time
+   * @param {Object} [options] - { type, maxDays }, see astronomy/stations.js
+   * @returns {Object|null} { body, type, date, jd, longitude }
+   */
+  findNextStation(planetName, date = this.getDate(), options = {}) {
+    return findStation(planetName, date, { ...options, backward: false });
+  }
+
+  /**
+   * Most recent station before a date
+   * @param {string} planetName - Planet name
+   * @param {Date} [date] - Defaults to the system's current time
+   * @param {Object} [options] - { type, maxDays }, see astronomy/stations.js
+   * @returns {Object|null} { body, type, date, jd, longitude }
+   */
+  findPreviousStation(planetName, date = this.getDate(), options = {}) {
+    return findStation(planetName, date, { ...options, backward: true });
+  }
+
+  /**
+   * Aspects in the sky, seen from Earth
+   * @param {Date} [date] - Instant, defaults to the system's current time
+   * @param {Object} [options] - { bodies, aspects, minor, orbs, planetOrbs }, see astronomy/aspects.js
+   * @returns {Array} Aspects with orb and applying/separating phase, tightest first
+   */
+  getAspects(date = this.getDate(), options) {
+    return getAspects(date, options);
+  }
+
+  /**
+   * The aspect between two bodies, if any
+   * @param {string} bodyA - Body name
+   * @param {string} bodyB - Body name
+   * @param {Date} [date] - Instant, defaults to the system's current time
+   * @param {Object} [options] - { aspects, minor, orbs, planetOrbs }
+   * @returns {Object|null}
+   */
+  getAspectBetween(bodyA, bodyB, date = this.getDate(), options) {
+    return getAspectBetween(bodyA, bodyB, date, options);
+  }
+
+  /**
+   * Instants aspects become exact
+   * @param {Date} [start] - Defaults to the system's current time
+   * @param {Date} [end] - Defaults to 30 days after start
+   * @param {Object} [options] - { bodies, aspects, minor }
+   * @returns {Array} Exact aspects in time order
+   */
+  findExactAspects(start = this.getDate(), end = new Date(start.getTime() + 30 * MS_PER_DAY), options) {
+    return findExactAspects(start, end, options);
+  }
+
+  /**
+   * Natal Saturn and the dates it comes back to that degree
+   * @param {Object} birth - { date: 'YYYY-MM-DD', time: 'HH:MM', place: { timeZone, longitude } }
+   * @param {Object} [options] - { count }, defaults to three returns
+   * @returns {Object} { birth, natal, returns }, see astronomy/saturnReturn.js
+   */
+  findSaturnReturns(birth, options) {
+    return findSaturnReturns(birth, options);
+  }
+
+  /**
+   * Phase of the Moon
+   * @param {Date} [date] - Instant, defaults to the system's current time
+   * @returns {Object} { elongation, phaseAngle, illumination, waxing, age, name, symbol, index }
+   */
+  getMoonPhase(date = this.getDate()) {
+    return moonPhase(julianEphemerisDay(date));
+  }
+
+  /**
+   * Next new moon
+   * @param {Date} [date] - Defaults to the system's current time
+   * @returns {Object} { jd, date }
+   */
+  findNextNewMoon(date = this.getDate()) {
+    return findLunarEvent(LUNAR_EVENTS.NEW, date);
+  }
+
+  /**
+   * Next full moon
+   * @param {Date} [date] - Defaults to the system's current time
+   * @returns {Object} { jd, date }
+   */
+  findNextFullMoon(date = this.getDate()) {
+    return findLunarEvent(LUNAR_EVENTS.FULL, date);
+  }
+
+  /**
+   * Solar and lunar eclipses in a date range
+   * @param {Date} [start] - Defaults to the system's current time
+   * @param {Date} [end] - Defaults to a year after start
+   * @param {Object} [options] - { kinds }, see ECLIPSE_KINDS
+   * @returns {Array} { kind, type, jd, date, gamma, label } in time order, jd being TT
+   */
+  findEclipses(start = this.getDate(), end = new Date(start.getTime() + 365 * MS_PER_DAY), options) {
+    return findEclipses(start, end, options);
+  }
+
+  /**
+   * Next eclipse
+   * @param {Date} [date] - Defaults to the system's current time
+   * @param {Object} [options] - { kind }, solar or lunar, defaults to either
+   * @returns {Object|null} { kind, type, jd, date, gamma, label }
+   */
+  findNextEclipse(date = this.getDate(), options) {
+    return findNextEclipse(date, options);
+  }
+
+  /**
+   * Lunar mansion the Moon is in
+   * @param {Date} [date] - Defaults to the system's current time
+   * @returns {Object} { number, name, meaning, start, end, degreeInMansion, longitude }
+   */
+  getLunarMansion(date = this.getDate()) {
+    return getLunarMansion(date);
+  }
+
+  /**
+   * Chaldean planetary hour at a place
+   * @param {Object} location - { latitude, longitude } in degrees, east positive
+   * @param {Date} [date] - Defaults to the system's current time
+   * @returns {Object|null} { number, ruler, start, end, isDay, dayRuler }, null where the Sun doesn't rise and set
+   */
+  getPlanetaryHour(location, date = this.getDate()) {
+    return getPlanetaryHour(location, date);
+  }
+
+  /**
+   * Next planetary hour ruled by a planet
+   * @param {string} ruler - e.g. 'Saturn'
+   * @param {Object} location - { latitude, longitude } in degrees, east positive
+   * @param {Date} [date] - Defaults to the system's current time
+   * @returns {Object|null} { number, ruler, start, end, isDay, dayRuler }
+   */
+  findNextPlanetaryHour(ruler, location, date = this.getDate()) {
+    return findNextPlanetaryHour(ruler, location, date);
+  }
+
+  /**
+   * Sunrise, sunset and twilight on the local day at a place
+   * @param {Object} location - { latitude, longitude, timeZone? } in degrees, east positive
+   * @param {Date} [date] - Any instant on the day, defaults to the system's current time
+   * @returns {Object} { date, timeZone, local, astronomicalDawn, ..., astronomicalDusk }
+   */
+  getSolarEvents(location, date = this.getDate()) {
+    return getSolarEvents(date, location);
   }
 
   /**
@@ -178,16 +488,23 @@ export class PlanetarySystem {
       return { x: 0, y: 0, z: 0 }; // Sun at center
     }
 
-    // Convert angle to radians
-    const angleRad = (planet.currentAngle * Math.PI) / 180;
+    // Heliocentric (or for the Moon geocentric) longitude and latitude; the
+    // latitude carries each orbit's inclination about its ascending node
+    const longitude = planet.currentAngle * DEG;
+    const latitude = (planet.heliocentric ?? planet.lunar).latitude * DEG;
     
-    // Calculate elliptical orbit (simplified)
-    const r = planet.distance * (1 - planet.eccentricity * Math.cos(angleRad));
+    // Scale the true distance so the orbit's mean radius is the scene distance
+    let r = planet.distance;
+    if (planet.heliocentric) {
+      r *= planet.heliocentric.distance / ORBITAL_ELEMENTS[planet.name].a[0];
+    } else if (planet.lunar) {
+      r *= planet.lunar.distance / MEAN_DISTANCE_KM;
+    }
     
-    // Calculate position
-    const x = r * Math.cos(angleRad);
-    const y = r * Math.sin(angleRad);
-    const z = 0; // Keep orbits in same plane for simplicity
+    // Calculate position, z towards the north ecliptic pole
+    const x = r * Math.cos(latitude) * Math.cos(longitude);
+    const y = r * Math.cos(latitude) * Math.sin(longitude);
+    const z = r * Math.sin(latitude);
     
     return { x, y, z };
   }
@@ -220,12 +537,9 @@ export class PlanetarySystem {
   }
 
   /**
-   * Reset system to initial state
+   * Reset system to the J2000 epoch
    */
   reset() {
-    this.currentTime = 0;
-    Object.values(this.planets).forEach(planet => {
-      planet.currentAngle = 0;
-    });
+    this.setTimeAbsolute(0);
   }
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Angle wrapping
+ * Kept free of imports so every astronomy module can use it without
+ * creating an import cycle.
+ */
+
+/**
+ * Wrap an angle to [0, 360)
+ * @param {number} angle - Degrees
+ * @returns {number} Degrees
+ */
+export function wrap360(angle) {
+  const wrapped = angle % 360;
+  return wrapped < 0 ? wrapped + 360 : wrapped;
+}
+
+/**
+ * Wrap an angle to [-180, 180), e.g. the signed difference of two longitudes
+ * @param {number} angle - Degrees
+ * @returns {number} Degrees
+ */
+export function wrap180(angle) {
+  return wrap360(angle + 180) - 180;
+}
@@ -0,0 +1,287 @@
+/**
+ * Aspects between the Sun, Moon and planets
+ * An aspect is a chosen angle between two geocentric ecliptic longitudes,
+ * allowed to be off by an orb. The orb for a pair is the aspect's own orb,
+ * narrowed by the planets' moieties (half the sum of their traditional orbs),
+ * so a Moon-Sun square is allowed more slack than a Uranus-Neptune one.
+ *
+ * An aspect is applying while the bodies close on the exact angle and
+ * separating once they have passed it.
+ */
+import { geocentricPosition, GEOCENTRIC_BODIES } from './geocentric.js';
+import { longitudeSpeed } from './stations.js';
+import { julianEphemerisDay, dateFromJulianEphemerisDay } from './time.js';
+import { wrap180 } from './angles.js';
+
+export const ASPECTS = {
+  conjunction: { name: 'Conjunction', symbol: '☌', angle: 0, orb: 8, major: true },
+  opposition: { name: 'Opposition', symbol: '☍', angle: 180, orb: 8, major: true },
+  trine: { name: 'Trine', symbol: '△', angle: 120, orb: 8, major: true },
+  square: { name: 'Square', symbol: '□', angle: 90, orb: 7, major: true },
+  sextile: { name: 'Sextile', symbol: '⚹', angle: 60, orb: 5, major: true },
+  semisextile: { name: 'Semi-sextile', symbol: '⚺', angle: 30, orb: 2, major: false },
+  semisquare: { name: 'Semi-square', symbol: '∠', angle: 45, orb: 2, major: false },
+  quintile: { name: 'Quintile', symbol: 'Q', angle: 72, orb: 2, major: false },
+  sesquiquadrate: { name: 'Sesquiquadrate', symbol: '⚼', angle: 135, orb: 2, major: false },
+  biquintile: { name: 'Biquintile', symbol: 'bQ', angle: 144, orb: 2, major: false },
+  quincunx: { name: 'Quincunx', symbol: '⚻', angle: 150, orb: 3, major: false }
+};
+
+export const MAJOR_ASPECTS = Object.keys(ASPECTS).filter(key => ASPECTS[key].major);
+export const MINOR_ASPECTS = Object.keys(ASPECTS).filter(key => !ASPECTS[key].major);
+
+// Traditional orbs of the bodies (William Lilly); a pair gets half the sum
+export const PLANET_ORBS = {
+  Sun: 15,
+  Moon: 12,
+  Mercury: 7,
+  Venus: 7,
+  Mars: 7.5,
+  Jupiter: 9,
+  Saturn: 9,
+  Uranus: 5,
+  Neptune: 5
+};
+
+export const ASPECT_PHASES = {
+  APPLYING: 'applying',
+  SEPARATING: 'separating'
+};
+
+const PRECISION = 1 / 1440; // one minute, in days
+const FAST_BODIES = ['Moon']; // Need a finer scan than a day
+
+function aspectKeys({ aspects, minor = false } = {}) {
+  if (aspects) return aspects;
+  return minor ? [...MAJOR_ASPECTS, ...MINOR_ASPECTS] : MAJOR_ASPECTS;
+}
+
+function pairsOf(bodies) {
+  const pairs = [];
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      pairs.push([bodies[i], bodies[j]]);
+    }
+  }
+  return pairs;
+}
+
+function getAspect(key) {
+  const aspect = ASPECTS[key];
+  if (!aspect) {
+    throw new Error(`Unknown aspect: ${key}`);
+  }
+  return aspect;
+}
+
+/**
+ * Largest orb allowed for an aspect between two bodies
+ * @param {string} aspectKey - Key of ASPECTS
+ * @param {string} bodyA - Body name
+ * @param {string} bodyB - Body name
+ * @param {Object} [options]
+ * @param {Object} [options.orbs] - Per-aspect orb overrides, keyed like ASPECTS
+ * @param {Object} [options.planetOrbs] - Per-body orb overrides, keyed like PLANET_ORBS
+ * @returns {number} Degrees
+ */
+export function allowedOrb(aspectKey, bodyA, bodyB, { orbs = {}, planetOrbs = {} } = {}) {
+  const aspectOrb = orbs[aspectKey] ?? getAspect(aspectKey).orb;
+  const bodyOrb = (name) => planetOrbs[name] ?? PLANET_ORBS[name] ?? aspectOrb;
+  return Math.min(aspectOrb, (bodyOrb(bodyA) + bodyOrb(bodyB)) / 2);
+}
+
+/**
+ * The aspect two bodies form, if any
+ * @param {string} bodyA - Body name
+ * @param {Object} positionA - { longitude, speed? } in degrees and degrees per day
+ * @param {string} bodyB - Body name
+ * @param {Object} positionB - { longitude, speed? }
+ * @param {Object} [options] - { aspects, minor, orbs, planetOrbs }
+ * @returns {Object|null} { bodies, aspect, name, symbol, angle, separation, orb, allowedOrb,
+ *   phase, applying, label } - phase and applying are null without speeds
+ */
+export function matchAspect(bodyA, positionA, bodyB, positionB, options = {}) {
+  const difference = wrap180(positionA.longitude - positionB.longitude);
+  const separation = Math.abs(difference);
+  let best = null;
+
+  aspectKeys(options).forEach(key => {
+    const aspect = getAspect(key);
+    const deviation = separation - aspect.angle;
+    const limit = allowedOrb(key, bodyA, bodyB, options);
+    if (Math.abs(deviation) <= limit && (!best || Math.abs(deviation) < Math.abs(best.deviation))) {
+      best = { key, aspect, deviation, limit };
+    }
+  });
+
+  if (!best) return null;
+
+  let phase = null;
+  if (Number.isFinite(positionA.speed) && Number.isFinite(positionB.speed)) {
+    // Rate the separation changes at; applying when it heads towards the exact angle
+    const rate = Math.sign(difference) * (positionA.speed - positionB.speed);
+    phase = best.deviation * rate < 0 ? ASPECT_PHASES.APPLYING : ASPECT_PHASES.SEPARATING;
+  }
+
+  return {
+    bodies: [bodyA, bodyB],
+    aspect: best.key,
+    name: best.aspect.name,
+    symbol: best.aspect.symbol,
+    angle: best.aspect.angle,
+    separation,
+    orb: Math.abs(best.deviation),
+    allowedOrb: best.limit,
+    phase,
+    applying: phase === null ? null : phase === ASPECT_PHASES.APPLYING,
+    label: `${bodyA} ${best.aspect.symbol} ${bodyB}`
+  };
+}
+
+/**
+ * Every aspect among a set of positions
+ * @param {Object} positions - { [body]: { longitude, speed? } }, e.g. from getAllGeocentricPositions()
+ * @param {Object} [options] - { aspects, minor, orbs, planetOrbs }
+ * @returns {Array} matchAspect() results, tightest orb first
+ */
+export function findAspects(positions, options = {}) {
+  const bodies = Object.keys(positions).filter(name => positions[name]);
+  const found = [];
+
+  pairsOf(bodies).forEach(([bodyA, bodyB]) => {
+    const aspect = matchAspect(bodyA, positions[bodyA], bodyB, positions[bodyB], options);
+    if (aspect) found.push(aspect);
+  });
+
+  return found.sort((a, b) => a.orb - b.orb);
+}
+
+/**
+ * Geocentric longitudes and speeds of bodies at an instant
+ * @param {Date} date - Instant
+ * @param {Array} [bodies] - Body names, defaults to GEOCENTRIC_BODIES
+ * @returns {Object} { [body]: { longitude, speed } }
+ */
+export function getLongitudes(date, bodies = GEOCENTRIC_BODIES) {
+  const jd = julianEphemerisDay(date);
+  const positions = {};
+  bodies.forEach(name => {
+    const position = geocentricPosition(name, jd);
+    if (position) {
+      positions[name] = { longitude: position.longitude, speed: longitudeSpeed(name, jd) };
+    }
+  });
+  return positions;
+}
+
+/**
+ * Aspects in the sky at an instant
+ * @param {Date} [date] - Instant, defaults to now
+ * @param {Object} [options] - { bodies, aspects, minor, orbs, planetOrbs }
+ * @returns {Array} matchAspect() results, tightest orb first
+ */
+export function getAspects(date = new Date(), options = {}) {
+  return findAspects(getLongitudes(date, options.bodies), options);
+}
+
+/**
+ * The aspect between two particular bodies, e.g. to gate a ritual on a Moon-Saturn conjunction
+ * @param {string} bodyA - Body name
+ * @param {string} bodyB - Body name
+ * @param {Date} [date] - Instant, defaults to now
+ * @param {Object} [options] - { aspects, minor, orbs, planetOrbs }
+ * @returns {Object|null} matchAspect() result, or null when they are not in aspect
+ */
+export function getAspectBetween(bodyA, bodyB, date = new Date(), options = {}) {
+  const positions = getLongitudes(date, [bodyA, bodyB]);
+  if (!positions[bodyA] || !positions[bodyB]) return null;
+  return matchAspect(bodyA, positions[bodyA], bodyB, positions[bodyB], options);
+}
+
+// Bisect the crossing of a target angle between two Julian Days
+function refineExact(bodyA, bodyB, target, start, end) {
+  const offset = (jd) => wrap180(
+    geocentricPosition(bodyA, jd).longitude - geocentricPosition(bodyB, jd).longitude - target
+  );
+  let low = start;
+  let high = end;
+  const lowNegative = offset(low) < 0;
+
+  while (high - low > PRECISION / 4) {
+    const middle = (low + high) / 2;
+    if ((offset(middle) < 0) === lowNegative) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Instants aspects become exact within a date range
+ * Longitudes are sampled every day (every few hours with the Moon) and each
+ * crossing of an aspect angle is bisected to under a minute. Two crossings
+ * inside one sample, possible only right at a station, count as none.
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} [options]
+ * @param {Array} [options.bodies] - Bodies to pair up, defaults to GEOCENTRIC_BODIES
+ * @param {Array} [options.aspects] - Keys of ASPECTS, defaults to the major ones
+ * @param {boolean} [options.minor] - Include the minor aspects
+ * @returns {Array} { bodies, aspect, name, symbol, angle, jd (TT), date, longitudes, label } in time order
+ */
+export function findExactAspects(start, end, { bodies = GEOCENTRIC_BODIES, ...options } = {}) {
+  const keys = aspectKeys(options);
+  keys.forEach(getAspect);
+
+  const names = bodies.filter(name => GEOCENTRIC_BODIES.includes(name));
+  const step = names.some(name => FAST_BODIES.includes(name)) ? 0.25 : 1;
+  const startJd = julianEphemerisDay(start);
+  const endJd = julianEphemerisDay(end);
+
+  const samples = [];
+  for (let jd = startJd; jd < endJd + step; jd += step) {
+    const at = Math.min(jd, endJd);
+    const longitudes = {};
+    names.forEach(name => {
+      longitudes[name] = geocentricPosition(name, at).longitude;
+    });
+    samples.push({ jd: at, longitudes });
+    if (at === endJd) break;
+  }
+
+  const events = [];
+  pairsOf(names).forEach(([bodyA, bodyB]) => {
+    keys.forEach(key => {
+      const aspect = ASPECTS[key];
+      const targets = aspect.angle === 0 || aspect.angle === 180 ? [aspect.angle] : [aspect.angle, -aspect.angle];
+
+      targets.forEach(target => {
+        for (let i = 1; i < samples.length; i++) {
+          const before = wrap180(samples[i - 1].longitudes[bodyA] - samples[i - 1].longitudes[bodyB] - target);
+          const after = wrap180(samples[i].longitudes[bodyA] - samples[i].longitudes[bodyB] - target);
+
+          // A sign change far from zero is the wrap at 180 degrees, not a crossing
+          if ((before < 0) === (after < 0) || Math.abs(after - before) > 90) continue;
+
+          const jd = refineExact(bodyA, bodyB, target, samples[i - 1].jd, samples[i].jd);
+          events.push({
+            bodies: [bodyA, bodyB],
+            aspect: key,
+            name: aspect.name,
+            symbol: aspect.symbol,
+            angle: aspect.angle,
+            jd,
+            date: dateFromJulianEphemerisDay(jd),
+            longitudes: [geocentricPosition(bodyA, jd).longitude, geocentricPosition(bodyB, jd).longitude],
+            label: `${bodyA} ${aspect.symbol} ${bodyB}`
+          });
+        }
+      });
+    });
+  });
+
+  return events.sort((a, b) => a.jd - b.jd);
+}
@@ -0,0 +1,66 @@
+/**
+ * Coordinate conversions
+ * Ecliptic longitude and latitude to right ascension and declination,
+ * using the mean obliquity of the ecliptic (Meeus, Astronomical Algorithms
+ * 13.3, 13.4 and 22.2). Nutation is left out, which moves a body by at most
+ * about 20 arcseconds.
+ */
+import { julianCenturies } from './time.js';
+import { geocentricPosition, EQUINOX } from './geocentric.js';
+import { wrap360 } from './angles.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Mean obliquity of the ecliptic (Meeus 22.2)
+ * @param {number} T - Julian centuries since J2000
+ * @returns {number} Degrees
+ */
+export function meanObliquity(T) {
+  return 23.4392911 + (-46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T) / 3600;
+}
+
+/**
+ * Ecliptic to equatorial coordinates
+ * @param {number} longitude - Ecliptic longitude in degrees
+ * @param {number} latitude - Ecliptic latitude in degrees
+ * @param {number} obliquity - Obliquity of the ecliptic in degrees, for the same equinox
+ * @returns {Object} { rightAscension, declination } in degrees
+ */
+export function eclipticToEquatorial(longitude, latitude, obliquity) {
+  const lambda = longitude * DEG;
+  const beta = latitude * DEG;
+  const epsilon = obliquity * DEG;
+
+  const rightAscension = Math.atan2(
+    Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+    Math.cos(lambda)
+  );
+  const declination = Math.asin(
+    Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+  );
+
+  return {
+    rightAscension: wrap360(rightAscension / DEG),
+    declination: declination / DEG
+  };
+}
+
+/**
+ * Right ascension and declination of a body as seen from Earth
+ * @param {string} body - Sun, Moon or any planet
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @param {Object} [options] - { lightTime, equinox }, see geocentricPosition
+ * @returns {Object|null} { rightAscension, declination } in degrees and distance in au,
+ *   or null for an unknown body
+ */
+export function equatorialPosition(body, jd, options = {}) {
+  const position = geocentricPosition(body, jd, options);
+  if (!position) return null;
+
+  const T = options.equinox === EQUINOX.J2000 ? 0 : julianCenturies(jd);
+  return {
+    ...eclipticToEquatorial(position.longitude, position.latitude, meanObliquity(T)),
+    distance: position.distance
+  };
+}
@@ -0,0 +1,275 @@
+/**
+ * Solar and lunar eclipses
+ * Eclipses only happen at new and full moons that fall near one of the lunar
+ * nodes; the Moon's argument of latitude rules out most syzygies at once
+ * (Meeus, Astronomical Algorithms ch. 54). For the rest the shadow geometry
+ * comes straight from the Sun and Moon positions. Greatest eclipse is the
+ * instant the Moon's shadow axis passes closest to the Earth's center (solar),
+ * or the Moon's center passes closest to the axis of the Earth's shadow
+ * (lunar). Gamma is that least distance in equatorial Earth radii, positive
+ * when the axis passes north of the Earth's center.
+ *
+ * The Earth's shadow is cast by its mean radius plus 88 km of atmosphere,
+ * which accounts for the umbra looking larger than geometry alone gives.
+ * Greatest eclipse comes within a minute of a full ephemeris and gamma within
+ * 0.002. Types, hybrids included, follow NASA's Five Millennium Canon except
+ * for the odd eclipse that only grazes a limit.
+ */
+import { geocentricPosition, LIGHT_DAYS_PER_AU } from './geocentric.js';
+import { lunarArguments, AU_KM, EARTH_RADIUS_KM } from './moon.js';
+import { findLunarEvent, LUNAR_EVENTS, SYNODIC_MONTH } from './moonPhase.js';
+import { meanObliquity } from './coordinates.js';
+import { julianCenturies, dateFromJulianEphemerisDay } from './time.js';
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+
+export const ECLIPSE_KINDS = {
+  SOLAR: 'solar', // The Moon's shadow falls on the Earth
+  LUNAR: 'lunar' // The Earth's shadow falls on the Moon
+};
+
+export const ECLIPSE_TYPES = {
+  TOTAL: 'total',
+  ANNULAR: 'annular', // Solar only - the Moon too small to cover the Sun
+  HYBRID: 'hybrid', // Solar only - annular at the ends of the track, total in the middle
+  PARTIAL: 'partial',
+  PENUMBRAL: 'penumbral' // Lunar only - the Moon inside the penumbra alone
+};
+
+const SUN_RADIUS_KM = 695700;
+const MOON_RADIUS_KM = 1737.4;
+// Sunlight shines through valleys on the limb, so for totality the Moon is a
+// slightly smaller disc (NASA's k = 0.272281 Earth radii)
+const MOON_UMBRAL_RADIUS_KM = 1736.6;
+const EARTH_SHADOW_RADIUS_KM = 6371 + 88;
+
+// Past this |sin F| the Moon is too far from a node for any eclipse. Meeus 54
+// gives 0.36 at the mean syzygy; the true one can fall a little further out.
+const NODE_LIMIT = 0.4;
+// A central solar eclipse needs the axis to touch the flattened Earth (Meeus 54)
+const CENTRAL_LIMIT = 0.9972;
+// Greatest eclipse is within a few hours of the syzygy
+const SEARCH_WINDOW = 0.25; // days either side
+const PRECISION = 1 / 86400; // one second, in days
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+// Eclipse seasons come every 173 days, so seven lunations always reach the next one
+const SEARCH_CHUNK = 7 * SYNODIC_MONTH;
+const MAX_CHUNKS = 6;
+
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const length = (a) => Math.sqrt(dot(a, a));
+const scale = (a, factor) => ({ x: a.x * factor, y: a.y * factor, z: a.z * factor });
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+
+/**
+ * Geocentric Sun and Moon, ecliptic of date
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {Object} { sun, moon } as { x, y, z } in km
+ */
+function sunAndMoon(jd) {
+  // The Sun's light left it 8 minutes earlier; where it stood then is where
+  // it appears, which corrects for aberration as well
+  const delay = geocentricPosition('Sun', jd).distance * LIGHT_DAYS_PER_AU;
+  const sun = geocentricPosition('Sun', jd - delay);
+  const moon = geocentricPosition('Moon', jd);
+
+  return { sun: scale(sun, AU_KM), moon: scale(moon, AU_KM) };
+}
+
+// The Moon's shadow: its axis against the Earth's center, and the umbra and
+// penumbra radii where it crosses the plane through the Earth's center.
+// A negative umbra is the antumbra of an annular eclipse.
+function solarGeometry(jd) {
+  const { sun, moon } = sunAndMoon(jd);
+  const sunToMoon = add(moon, scale(sun, -1));
+  const separation = length(sunToMoon);
+  const axis = scale(sunToMoon, 1 / separation);
+  const along = -dot(moon, axis);
+  const offset = add(moon, scale(axis, along));
+
+  return {
+    offset,
+    distance: length(offset),
+    umbra: MOON_UMBRAL_RADIUS_KM - along * (SUN_RADIUS_KM - MOON_UMBRAL_RADIUS_KM) / separation,
+    penumbra: MOON_RADIUS_KM + along * (SUN_RADIUS_KM + MOON_RADIUS_KM) / separation,
+    taper: (SUN_RADIUS_KM - MOON_UMBRAL_RADIUS_KM) / separation
+  };
+}
+
+// The Earth's shadow: the Moon's center against its axis, and the umbra and
+// penumbra radii at the Moon's distance
+function lunarGeometry(jd) {
+  const { sun, moon } = sunAndMoon(jd);
+  const sunDistance = length(sun);
+  const axis = scale(sun, -1 / sunDistance);
+  const along = dot(moon, axis);
+  const offset = add(moon, scale(axis, -along));
+
+  return {
+    offset,
+    distance: length(offset),
+    umbra: EARTH_SHADOW_RADIUS_KM - along * (SUN_RADIUS_KM - EARTH_SHADOW_RADIUS_KM) / sunDistance,
+    penumbra: EARTH_SHADOW_RADIUS_KM + along * (SUN_RADIUS_KM + EARTH_SHADOW_RADIUS_KM) / sunDistance
+  };
+}
+
+// Golden-section search for the least axis distance near a syzygy
+function greatestEclipse(geometry, syzygy) {
+  let low = syzygy - SEARCH_WINDOW;
+  let high = syzygy + SEARCH_WINDOW;
+  let left = high - GOLDEN_RATIO * (high - low);
+  let right = low + GOLDEN_RATIO * (high - low);
+  let leftDistance = geometry(left).distance;
+  let rightDistance = geometry(right).distance;
+
+  while (high - low > PRECISION) {
+    if (leftDistance < rightDistance) {
+      high = right;
+      right = left;
+      rightDistance = leftDistance;
+      left = high - GOLDEN_RATIO * (high - low);
+      leftDistance = geometry(left).distance;
+    } else {
+      low = left;
+      left = right;
+      leftDistance = rightDistance;
+      right = low + GOLDEN_RATIO * (high - low);
+      rightDistance = geometry(right).distance;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+// Least axis distance in Earth radii, signed by the side of the Earth's north pole
+function gammaOf({ offset, distance }, jd) {
+  const obliquity = meanObliquity(julianCenturies(jd)) * DEG;
+  const north = { x: 0, y: -Math.sin(obliquity), z: Math.cos(obliquity) };
+  return (dot(offset, north) < 0 ? -distance : distance) / EARTH_RADIUS_KM;
+}
+
+// Whether the Moon is close enough to a node at a syzygy for any eclipse
+function nearNode(jd) {
+  return Math.abs(Math.sin(lunarArguments(julianCenturies(jd)).F * DEG)) <= NODE_LIMIT;
+}
+
+function describe(kind, type, jd, gamma) {
+  const label = `${type[0].toUpperCase()}${type.slice(1)} ${kind} eclipse`;
+  return { kind, type, jd, date: dateFromJulianEphemerisDay(jd), gamma, label };
+}
+
+/**
+ * Solar eclipse at a new moon, if any
+ * @param {number} jd - Julian Ephemeris Day (TT) of the new moon
+ * @returns {Object|null} { kind, type, jd, date, gamma, label }, see findEclipses
+ */
+export function solarEclipse(jd) {
+  if (!nearNode(jd)) return null;
+
+  const peak = greatestEclipse(solarGeometry, jd);
+  const geometry = solarGeometry(peak);
+  if (geometry.distance > EARTH_RADIUS_KM + geometry.penumbra) return null;
+
+  const gamma = gammaOf(geometry, peak);
+  let type = ECLIPSE_TYPES.PARTIAL;
+  if (Math.abs(gamma) < CENTRAL_LIMIT + Math.abs(geometry.umbra) / EARTH_RADIUS_KM) {
+    if (geometry.umbra > 0) {
+      type = ECLIPSE_TYPES.TOTAL;
+    } else {
+      // The ground under the axis is nearer the Moon than the fundamental
+      // plane is, so a thin antumbra can close into an umbra there
+      const height = EARTH_RADIUS_KM * Math.sqrt(Math.max(0, 1 - gamma * gamma));
+      type = geometry.umbra + height * geometry.taper > 0 ? ECLIPSE_TYPES.HYBRID : ECLIPSE_TYPES.ANNULAR;
+    }
+  }
+
+  return describe(ECLIPSE_KINDS.SOLAR, type, peak, gamma);
+}
+
+/**
+ * Lunar eclipse at a full moon, if any
+ * @param {number} jd - Julian Ephemeris Day (TT) of the full moon
+ * @returns {Object|null} { kind, type, jd, date, gamma, label }, see findEclipses
+ */
+export function lunarEclipse(jd) {
+  if (!nearNode(jd)) return null;
+
+  const peak = greatestEclipse(lunarGeometry, jd);
+  const geometry = lunarGeometry(peak);
+  if (geometry.distance - MOON_RADIUS_KM > geometry.penumbra) return null;
+
+  let type = ECLIPSE_TYPES.PENUMBRAL;
+  if (geometry.distance + MOON_RADIUS_KM < geometry.umbra) {
+    type = ECLIPSE_TYPES.TOTAL;
+  } else if (geometry.distance - MOON_RADIUS_KM < geometry.umbra) {
+    type = ECLIPSE_TYPES.PARTIAL;
+  }
+
+  return describe(ECLIPSE_KINDS.LUNAR, type, peak, gammaOf(geometry, peak));
+}
+
+const SYZYGIES = {
+  [ECLIPSE_KINDS.SOLAR]: { elongation: LUNAR_EVENTS.NEW, eclipse: solarEclipse },
+  [ECLIPSE_KINDS.LUNAR]: { elongation: LUNAR_EVENTS.FULL, eclipse: lunarEclipse }
+};
+
+function getSyzygy(kind) {
+  const syzygy = SYZYGIES[kind];
+  if (!syzygy) {
+    throw new Error(`Unknown eclipse kind: ${kind}`);
+  }
+  return syzygy;
+}
+
+/**
+ * Solar and lunar eclipses between two dates
+ * @param {Date} start - Beginning of the range
+ * @param {Date} end - End of the range
+ * @param {Object} [options]
+ * @param {Array} [options.kinds] - ECLIPSE_KINDS to look for, defaults to both
+ * @returns {Array} { kind, type, jd, date, gamma, label } in time order: type one
+ *   of ECLIPSE_TYPES, jd the Julian Ephemeris Day (TT) of greatest eclipse and
+ *   date the same instant, gamma in Earth radii, label e.g. 'Total solar eclipse'
+ */
+export function findEclipses(start, end, { kinds = Object.values(ECLIPSE_KINDS) } = {}) {
+  const eclipses = [];
+
+  kinds.forEach(kind => {
+    const { elongation, eclipse } = getSyzygy(kind);
+    // Start early enough to catch a syzygy just before the range whose greatest eclipse is inside it
+    let cursor = new Date(start.getTime() - SEARCH_WINDOW * MS_PER_DAY);
+
+    for (;;) {
+      const event = findLunarEvent(elongation, cursor);
+      if (event.date.getTime() > end.getTime() + SEARCH_WINDOW * MS_PER_DAY) break;
+
+      const found = eclipse(event.jd);
+      if (found && found.date >= start && found.date <= end) eclipses.push(found);
+      cursor = event.date;
+    }
+  });
+
+  return eclipses.sort((a, b) => a.jd - b.jd);
+}
+
+/**
+ * First eclipse after a date
+ * @param {Date} [date] - Defaults to now
+ * @param {Object} [options]
+ * @param {string} [options.kind] - One of ECLIPSE_KINDS, defaults to either
+ * @returns {Object|null} { kind, type, jd, date, gamma, label }, see findEclipses
+ */
+export function findNextEclipse(date = new Date(), { kind } = {}) {
+  const kinds = kind ? [kind] : Object.values(ECLIPSE_KINDS);
+  let start = date;
+
+  for (let i = 0; i < MAX_CHUNKS; i++) {
+    const end = new Date(start.getTime() + SEARCH_CHUNK * MS_PER_DAY);
+    const found = findEclipses(start, end, { kinds }).find(eclipse => eclipse.date > date);
+    if (found) return found;
+    start = end;
+  }
+
+  return null;
+}
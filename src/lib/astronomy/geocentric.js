@@ -0,0 +1,175 @@
+/**
+ * Geocentric positions of the Sun, Moon and planets
+ * Subtracts Earth's heliocentric position from each body's, optionally
+ * correcting for light-time (where the planet was when the light we see left
+ * it), and refers the result to the ecliptic and equinox of date - the frame
+ * the tropical zodiac is measured in - or of J2000.
+ *
+ * Aberration and nutation are left out; both are under 20 arcseconds, well
+ * inside the error of the orbital elements.
+ */
+import { heliocentricPosition } from './orbitalElements.js';
+import { julianCenturies } from './time.js';
+import { moonPosition, AU_KM } from './moon.js';
+import { wrap360 } from './angles.js';
+
+const DEG = Math.PI / 180;
+const ARCSEC = DEG / 3600;
+
+export const GEOCENTRIC_BODIES = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'];
+
+export const EQUINOX = {
+  DATE: 'date',
+  J2000: 'J2000'
+};
+
+export const LIGHT_DAYS_PER_AU = 0.0057755183;
+const EARTH_MOON_MASS_RATIO = 81.30057;
+
+function toCartesian(longitude, latitude, distance) {
+  const cosLat = Math.cos(latitude * DEG);
+  return {
+    x: distance * cosLat * Math.cos(longitude * DEG),
+    y: distance * cosLat * Math.sin(longitude * DEG),
+    z: distance * Math.sin(latitude * DEG)
+  };
+}
+
+function toSpherical({ x, y, z }) {
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  return {
+    longitude: wrap360(Math.atan2(y, x) / DEG),
+    latitude: Math.asin(z / distance) / DEG,
+    distance
+  };
+}
+
+/**
+ * General precession in longitude accumulated between two equinoxes (Meeus 21.5)
+ * @param {number} fromT - Starting equinox in Julian centuries since J2000
+ * @param {number} toT - Target equinox in Julian centuries since J2000
+ * @returns {number} Degrees, positive when toT is later
+ */
+export function generalPrecession(fromT, toT) {
+  const T = fromT;
+  const t = toT - fromT;
+  return ((5029.0966 + 2.22226 * T - 0.000042 * T * T) * t
+    + (1.11113 - 0.000042 * T) * t * t
+    - 0.000006 * t * t * t) / 3600;
+}
+
+/**
+ * Precess ecliptic coordinates between two equinoxes (Meeus, Astronomical Algorithms 21.5/21.7)
+ * @param {number} longitude - Degrees
+ * @param {number} latitude - Degrees
+ * @param {number} fromT - Starting equinox in Julian centuries since J2000
+ * @param {number} toT - Target equinox in Julian centuries since J2000
+ * @returns {Object} { longitude, latitude } in degrees
+ */
+export function precessEcliptic(longitude, latitude, fromT, toT) {
+  const T = fromT;
+  const t = toT - fromT;
+  if (t === 0) return { longitude, latitude };
+
+  const eta = ((47.0029 - 0.06603 * T + 0.000598 * T * T) * t
+    + (-0.03302 + 0.000598 * T) * t * t
+    + 0.000060 * t * t * t) * ARCSEC;
+  const Pi = 174.876384 * DEG
+    + (3289.4789 * T + 0.60622 * T * T - (869.8089 + 0.50491 * T) * t + 0.03536 * t * t) * ARCSEC;
+  const p = generalPrecession(fromT, toT) * DEG;
+
+  const lambda = longitude * DEG;
+  const beta = latitude * DEG;
+
+  const A = Math.cos(eta) * Math.cos(beta) * Math.sin(Pi - lambda) - Math.sin(eta) * Math.sin(beta);
+  const B = Math.cos(beta) * Math.cos(Pi - lambda);
+  const C = Math.cos(eta) * Math.sin(beta) + Math.sin(eta) * Math.cos(beta) * Math.sin(Pi - lambda);
+
+  return {
+    longitude: wrap360((p + Pi - Math.atan2(A, B)) / DEG),
+    latitude: Math.asin(C) / DEG
+  };
+}
+
+// Moon relative to Earth in au, J2000 ecliptic
+function moonVector(jd) {
+  const moon = moonPosition(jd);
+  const j2000 = precessEcliptic(moon.longitude, moon.latitude, julianCenturies(jd), 0);
+  return toCartesian(j2000.longitude, j2000.latitude, moon.distance / AU_KM);
+}
+
+/**
+ * Earth's heliocentric position, J2000 ecliptic
+ * The elements describe the Earth-Moon barycenter - Earth sits on the far
+ * side of it from the Moon, 1/82 of the way out.
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {Object} { x, y, z } in au
+ */
+export function earthPosition(jd) {
+  const barycenter = heliocentricPosition('Earth', jd);
+  const moon = moonVector(jd);
+  const share = 1 / (1 + EARTH_MOON_MASS_RATIO);
+
+  return {
+    x: barycenter.x - moon.x * share,
+    y: barycenter.y - moon.y * share,
+    z: barycenter.z - moon.z * share
+  };
+}
+
+/**
+ * Position of a body as seen from the center of the Earth
+ * @param {string} body - One of GEOCENTRIC_BODIES
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @param {Object} [options]
+ * @param {boolean} [options.lightTime] - Correct planets for light-time
+ * @param {string} [options.equinox] - EQUINOX.DATE (tropical) or EQUINOX.J2000
+ * @returns {Object|null} { longitude, latitude } in degrees, distance in au, { x, y, z } in au
+ *   in the same frame, and lightTime in days - or null for an unknown body
+ */
+export function geocentricPosition(body, jd, { lightTime = true, equinox = EQUINOX.DATE } = {}) {
+  if (!GEOCENTRIC_BODIES.includes(body)) return null;
+
+  const T = julianCenturies(jd);
+  let spherical;
+  let delay = 0;
+
+  if (body === 'Moon') {
+    // Already geocentric and of date; light-time is about a second
+    const moon = moonPosition(jd);
+    spherical = { ...moon, distance: moon.distance / AU_KM };
+    if (equinox === EQUINOX.J2000) {
+      spherical = { ...spherical, ...precessEcliptic(moon.longitude, moon.latitude, T, 0) };
+    }
+  } else {
+    const earth = earthPosition(jd);
+    let vector;
+
+    if (body === 'Sun') {
+      vector = { x: -earth.x, y: -earth.y, z: -earth.z };
+    } else {
+      // Iterate: the light left the planet Δ/c earlier, when it was elsewhere
+      for (let i = 0; i < 5; i++) {
+        const planet = heliocentricPosition(body, jd - delay);
+        vector = { x: planet.x - earth.x, y: planet.y - earth.y, z: planet.z - earth.z };
+        if (!lightTime) break;
+
+        const next = Math.sqrt(vector.x ** 2 + vector.y ** 2 + vector.z ** 2) * LIGHT_DAYS_PER_AU;
+        const converged = Math.abs(next - delay) < 1e-9;
+        delay = next;
+        if (converged) break;
+      }
+    }
+
+    spherical = toSpherical(vector);
+    if (equinox === EQUINOX.DATE) {
+      spherical = { ...spherical, ...precessEcliptic(spherical.longitude, spherical.latitude, 0, T) };
+    }
+  }
+
+  return {
+    ...spherical,
+    ...toCartesian(spherical.longitude, spherical.latitude, spherical.distance),
+    lightTime: delay
+  };
+}
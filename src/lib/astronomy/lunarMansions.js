@@ -0,0 +1,70 @@
+/**
+ * The 28 lunar mansions
+ * The Arabic manazil al-qamar, one for each night of the Moon's circuit,
+ * laid out the way Agrippa gives them: equal arcs of 12°51'26" measured
+ * from 0° of tropical Aries.
+ */
+import { moonPosition } from './moon.js';
+import { julianEphemerisDay } from './time.js';
+import { wrap360 } from './angles.js';
+
+export const LUNAR_MANSIONS = [
+  { name: 'Al Sharatain', meaning: 'The Two Signs' },
+  { name: 'Al Butain', meaning: 'The Little Belly' },
+  { name: 'Al Thurayya', meaning: 'The Many Little Ones' },
+  { name: 'Al Dabaran', meaning: 'The Follower' },
+  { name: "Al Haq'a", meaning: 'The White Spot' },
+  { name: "Al Han'a", meaning: 'The Brand' },
+  { name: 'Al Dhira', meaning: 'The Forearm' },
+  { name: 'Al Nathra', meaning: 'The Gap' },
+  { name: 'Al Tarf', meaning: 'The Glance' },
+  { name: 'Al Jabha', meaning: 'The Forehead' },
+  { name: 'Al Zubra', meaning: 'The Mane' },
+  { name: 'Al Sarfa', meaning: 'The Changer' },
+  { name: 'Al Awwa', meaning: 'The Barker' },
+  { name: 'Al Simak', meaning: 'The Unarmed' },
+  { name: 'Al Ghafr', meaning: 'The Covering' },
+  { name: 'Al Zubana', meaning: 'The Claws' },
+  { name: 'Al Iklil', meaning: 'The Crown' },
+  { name: 'Al Qalb', meaning: 'The Heart' },
+  { name: 'Al Shawla', meaning: 'The Sting' },
+  { name: "Al Na'am", meaning: 'The Ostriches' },
+  { name: 'Al Balda', meaning: 'The City' },
+  { name: "Sa'd al Dhabih", meaning: 'Luck of the Slaughterer' },
+  { name: "Sa'd Bula", meaning: 'Luck of the Swallower' },
+  { name: "Sa'd al Su'ud", meaning: 'Luck of Lucks' },
+  { name: "Sa'd al Akhbiya", meaning: 'Luck of the Tents' },
+  { name: 'Al Fargh al Muqaddam', meaning: 'The Fore Spout' },
+  { name: "Al Fargh al Mu'akhkhar", meaning: 'The Rear Spout' },
+  { name: 'Batn al Hut', meaning: 'Belly of the Fish' }
+];
+
+export const MANSION_ARC = 360 / LUNAR_MANSIONS.length;
+
+/**
+ * Mansion a longitude falls in
+ * @param {number} longitude - Tropical ecliptic longitude in degrees
+ * @returns {Object} { number (1-28), name, meaning, start, end, degreeInMansion } in degrees
+ */
+export function describeMansion(longitude) {
+  const normalized = wrap360(longitude);
+  const index = Math.min(Math.floor(normalized / MANSION_ARC), LUNAR_MANSIONS.length - 1);
+
+  return {
+    number: index + 1,
+    ...LUNAR_MANSIONS[index],
+    start: index * MANSION_ARC,
+    end: (index + 1) * MANSION_ARC,
+    degreeInMansion: normalized - index * MANSION_ARC
+  };
+}
+
+/**
+ * Mansion the Moon is in
+ * @param {Date} [date] - Instant, defaults to now
+ * @returns {Object} describeMansion() fields plus the Moon's longitude
+ */
+export function getLunarMansion(date = new Date()) {
+  const { longitude } = moonPosition(julianEphemerisDay(date));
+  return { ...describeMansion(longitude), longitude };
+}
@@ -0,0 +1,127 @@
+/**
+ * Phases of the Moon
+ * The phase follows from where the Moon stands relative to the Sun: its
+ * elongation in longitude sets the named phase and the age of the lunation,
+ * and the phase angle (Sun-Moon-Earth) sets how much of the disc is lit
+ * (Meeus, Astronomical Algorithms ch. 48). New and full moons are the
+ * instants the elongation reaches 0 and 180 degrees; they come out within a
+ * minute of a full ephemeris.
+ */
+import { moonPosition, AU_KM } from './moon.js';
+import { geocentricPosition } from './geocentric.js';
+import { julianEphemerisDay, dateFromJulianEphemerisDay } from './time.js';
+import { wrap360, wrap180 } from './angles.js';
+
+const DEG = Math.PI / 180;
+
+export const SYNODIC_MONTH = 29.530588853; // days, mean new moon to new moon
+
+// Elongation the lunar events happen at
+export const LUNAR_EVENTS = {
+  NEW: 0,
+  FIRST_QUARTER: 90,
+  FULL: 180,
+  LAST_QUARTER: 270
+};
+
+// Eight named phases, each centered on a multiple of 45 degrees of elongation
+export const MOON_PHASES = [
+  { name: 'New Moon', symbol: '🌑' },
+  { name: 'Waxing Crescent', symbol: '🌒' },
+  { name: 'First Quarter', symbol: '🌓' },
+  { name: 'Waxing Gibbous', symbol: '🌔' },
+  { name: 'Full Moon', symbol: '🌕' },
+  { name: 'Waning Gibbous', symbol: '🌖' },
+  { name: 'Last Quarter', symbol: '🌗' },
+  { name: 'Waning Crescent', symbol: '🌘' }
+];
+
+const MEAN_ELONGATION_RATE = 360 / SYNODIC_MONTH; // degrees per day
+const PRECISION = 1e-6; // days, well under a second
+
+/**
+ * Moon's longitude east of the Sun
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {number} Degrees, 0 at new moon and 180 at full
+ */
+export function lunarElongation(jd) {
+  return wrap360(moonPosition(jd).longitude - geocentricPosition('Sun', jd).longitude);
+}
+
+/**
+ * Phase of the Moon at an instant
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {Object} { elongation, phaseAngle } in degrees, illumination 0-1, waxing,
+ *   age in days since new moon, and the named phase { name, symbol, index }
+ */
+export function moonPhase(jd) {
+  const moon = moonPosition(jd);
+  const sun = geocentricPosition('Sun', jd);
+  const elongation = wrap360(moon.longitude - sun.longitude);
+
+  // Meeus 48.2 and 48.3 - angle at the Moon between the Sun and the Earth
+  const sunDistance = sun.distance * AU_KM;
+  const cosPsi = Math.cos(moon.latitude * DEG) * Math.cos((moon.longitude - sun.longitude) * DEG);
+  const psi = Math.acos(cosPsi);
+  const phaseAngle = Math.atan2(sunDistance * Math.sin(psi), moon.distance - sunDistance * cosPsi) / DEG;
+
+  const index = Math.floor(wrap360(elongation + 22.5) / 45) % MOON_PHASES.length;
+
+  return {
+    elongation,
+    phaseAngle,
+    illumination: (1 + Math.cos(phaseAngle * DEG)) / 2,
+    waxing: elongation < 180,
+    age: (elongation / 360) * SYNODIC_MONTH,
+    ...MOON_PHASES[index],
+    index
+  };
+}
+
+/**
+ * Next (or previous) instant the Moon reaches an elongation
+ * @param {number} elongation - Degrees, usually one of LUNAR_EVENTS
+ * @param {Date} [date] - Where to start searching, defaults to now
+ * @param {Object} [options]
+ * @param {boolean} [options.backward] - Search into the past instead
+ * @returns {Object} { jd, date } with jd a Julian Ephemeris Day (TT)
+ */
+export function findLunarEvent(elongation, date = new Date(), { backward = false } = {}) {
+  const startJd = julianEphemerisDay(date);
+  const ahead = wrap360(elongation - lunarElongation(startJd));
+  const behind = wrap360(-ahead);
+
+  // An event right at the start belongs to neither direction - go to the next one
+  const minimum = MEAN_ELONGATION_RATE * PRECISION;
+  const degrees = backward
+    ? -(behind < minimum ? behind + 360 : behind)
+    : (ahead < minimum ? ahead + 360 : ahead);
+  let jd = startJd + degrees / MEAN_ELONGATION_RATE;
+
+  // Newton's method with the mean rate; the true rate stays within 20% of it
+  for (let i = 0; i < 50; i++) {
+    const step = wrap180(elongation - lunarElongation(jd)) / MEAN_ELONGATION_RATE;
+    jd += step;
+    if (Math.abs(step) < PRECISION) break;
+  }
+
+  return { jd, date: dateFromJulianEphemerisDay(jd) };
+}
+
+/**
+ * Next new moon after a date
+ * @param {Date} [date] - Defaults to now
+ * @returns {Object} { jd, date } with jd a Julian Ephemeris Day (TT)
+ */
+export function findNextNewMoon(date = new Date()) {
+  return findLunarEvent(LUNAR_EVENTS.NEW, date);
+}
+
+/**
+ * Next full moon after a date
+ * @param {Date} [date] - Defaults to now
+ * @returns {Object} { jd, date } with jd a Julian Ephemeris Day (TT)
+ */
+export function findNextFullMoon(date = new Date()) {
+  return findLunarEvent(LUNAR_EVENTS.FULL, date);
+}
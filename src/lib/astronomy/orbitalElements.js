@@ -0,0 +1,180 @@
+/**
+ * Keplerian orbital elements for the planets
+ * Standish's approximate elements from JPL (Table 1, valid 1800 AD - 2050 AD),
+ * referred to the mean ecliptic and equinox of J2000. Positions computed from
+ * them are good to about an arcminute for the inner planets, Uranus and
+ * Neptune over that range. Jupiter and Saturn drift up to 10-15 arcminutes
+ * because the elements leave out their mutual perturbations.
+ *
+ * Source: E. M. Standish, "Keplerian Elements for Approximate Positions of
+ * the Major Planets", https://ssd.jpl.nasa.gov/planets/approx_pos.html
+ */
+
+import { julianCenturies } from './time.js';
+import { wrap360, wrap180 } from './angles.js';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Elements at J2000 and their rates per Julian century:
+ * a (au), e, I (deg), L mean longitude (deg), peri longitude of perihelion (deg), node longitude of ascending node (deg)
+ * Earth is the Earth-Moon barycenter.
+ */
+export const ORBITAL_ELEMENTS = {
+  Mercury: {
+    a: [0.38709927, 0.00000037],
+    e: [0.20563593, 0.00001906],
+    I: [7.00497902, -0.00594749],
+    L: [252.25032350, 149472.67411175],
+    peri: [77.45779628, 0.16047689],
+    node: [48.33076593, -0.12534081]
+  },
+  Venus: {
+    a: [0.72333566, 0.00000390],
+    e: [0.00677672, -0.00004107],
+    I: [3.39467605, -0.00078890],
+    L: [181.97909950, 58517.81538729],
+    peri: [131.60246718, 0.00268329],
+    node: [76.67984255, -0.27769418]
+  },
+  Earth: {
+    a: [1.00000261, 0.00000562],
+    e: [0.01671123, -0.00004392],
+    I: [-0.00001531, -0.01294668],
+    L: [100.46457166, 35999.37244981],
+    peri: [102.93768193, 0.32327364],
+    node: [0.0, 0.0]
+  },
+  Mars: {
+    a: [1.52371034, 0.00001847],
+    e: [0.09339410, 0.00007882],
+    I: [1.84969142, -0.00813131],
+    L: [-4.55343205, 19140.30268499],
+    peri: [-23.94362959, 0.44441088],
+    node: [49.55953891, -0.29257343]
+  },
+  Jupiter: {
+    a: [5.20288700, -0.00011607],
+    e: [0.04838624, -0.00013253],
+    I: [1.30439695, -0.00183714],
+    L: [34.39644051, 3034.74612775],
+    peri: [14.72847983, 0.21252668],
+    node: [100.47390909, 0.20469106]
+  },
+  Saturn: {
+    a: [9.53667594, -0.00125060],
+    e: [0.05386179, -0.00050991],
+    I: [2.48599187, 0.00193609],
+    L: [49.95424423, 1222.49362201],
+    peri: [92.59887831, -0.41897216],
+    node: [113.66242448, -0.28867794]
+  },
+  Uranus: {
+    a: [19.18916464, -0.00196176],
+    e: [0.04725744, -0.00004397],
+    I: [0.77263783, -0.00242939],
+    L: [313.23810451, 428.48202785],
+    peri: [170.95427630, 0.40805281],
+    node: [74.01692503, 0.04240589]
+  },
+  Neptune: {
+    a: [30.06992276, 0.00026291],
+    e: [0.00859048, 0.00005105],
+    I: [1.77004347, 0.00035372],
+    L: [-55.12002969, 218.45945325],
+    peri: [44.96476227, -0.32241464],
+    node: [131.78422574, -0.00508664]
+  }
+};
+
+/**
+ * Elements of a planet at a given time
+ * @param {string} planetName - Key of ORBITAL_ELEMENTS
+ * @param {number} T - Julian centuries since J2000
+ * @returns {Object|null} { a, e, I, L, peri, node, omega, M } angles in degrees, or null for an unknown planet
+ */
+export function getOrbitalElements(planetName, T) {
+  const elements = ORBITAL_ELEMENTS[planetName];
+  if (!elements) return null;
+
+  const at = ([value, rate]) => value + rate * T;
+  const a = at(elements.a);
+  const e = at(elements.e);
+  const I = at(elements.I);
+  const L = at(elements.L);
+  const peri = at(elements.peri);
+  const node = at(elements.node);
+
+  return {
+    a,
+    e,
+    I,
+    L: wrap360(L),
+    peri: wrap360(peri),
+    node: wrap360(node),
+    omega: wrap360(peri - node), // Argument of perihelion
+    M: wrap180(L - peri) // Mean anomaly
+  };
+}
+
+/**
+ * Solve Kepler's equation M = E - e sin E by Newton's method
+ * @param {number} M - Mean anomaly in radians
+ * @param {number} e - Eccentricity, 0 <= e < 1
+ * @param {number} [tolerance] - Convergence threshold in radians
+ * @returns {number} Eccentric anomaly E in radians
+ */
+export function solveKepler(M, e, tolerance = 1e-12) {
+  let E = e < 0.8 ? M : Math.PI * Math.sign(M || 1);
+
+  for (let i = 0; i < 50; i++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < tolerance) break;
+  }
+
+  return E;
+}
+
+/**
+ * Heliocentric position of a planet in the J2000 ecliptic frame
+ * @param {string} planetName - Key of ORBITAL_ELEMENTS
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {Object|null} { x, y, z } in au, { longitude, latitude } in degrees, distance in au,
+ *   and the trueAnomaly in degrees - or null for an unknown planet
+ */
+export function heliocentricPosition(planetName, jd) {
+  const elements = getOrbitalElements(planetName, julianCenturies(jd));
+  if (!elements) return null;
+
+  const { a, e } = elements;
+  const E = solveKepler(elements.M * DEG, e);
+
+  // Position in the orbital plane, x towards perihelion
+  const xOrbit = a * (Math.cos(E) - e);
+  const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+  // Rotate by argument of perihelion, inclination and node into the ecliptic
+  const cosW = Math.cos(elements.omega * DEG);
+  const sinW = Math.sin(elements.omega * DEG);
+  const cosN = Math.cos(elements.node * DEG);
+  const sinN = Math.sin(elements.node * DEG);
+  const cosI = Math.cos(elements.I * DEG);
+  const sinI = Math.sin(elements.I * DEG);
+
+  const x = (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit;
+  const y = (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit;
+  const z = (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit;
+
+  const distance = Math.sqrt(x * x + y * y + z * z);
+
+  return {
+    x,
+    y,
+    z,
+    longitude: wrap360(Math.atan2(y, x) / DEG),
+    latitude: Math.asin(z / distance) / DEG,
+    distance,
+    trueAnomaly: wrap360(Math.atan2(yOrbit, xOrbit) / DEG)
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Chaldean planetary hours
+ * The planetary day runs from sunrise to the next sunrise. Daylight and
+ * night are each split into twelve equal hours, so the hours stretch and
+ * shrink with the seasons. The first hour of the day belongs to the day's
+ * ruler (Sunday to the Sun, Saturday to Saturn) and each hour after it to
+ * the next planet in the Chaldean order, slowest to fastest.
+ */
+import { findSunEvent } from './sunrise.js';
+
+export const CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+
+// Rulers of the weekdays, Sunday first as Date.getDay() counts
+export const DAY_RULERS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn'];
+
+const MS_PER_HOUR = 3600000;
+const MS_PER_MINUTE = 60000;
+const HOURS_PER_HALF = 12;
+
+// Weekday of an instant in local mean time at a longitude
+function localWeekday(date, longitude) {
+  return new Date(date.getTime() + (longitude / 15) * MS_PER_HOUR).getUTCDay();
+}
+
+function splitHours(start, end, firstIndex, firstRuler, isDay) {
+  const length = (end - start) / HOURS_PER_HALF;
+  const offset = CHALDEAN_ORDER.indexOf(firstRuler);
+
+  return Array.from({ length: HOURS_PER_HALF }, (_, i) => ({
+    number: firstIndex + i,
+    ruler: CHALDEAN_ORDER[(offset + firstIndex - 1 + i) % CHALDEAN_ORDER.length],
+    start: new Date(start.getTime() + i * length),
+    end: new Date(start.getTime() + (i + 1) * length),
+    isDay
+  }));
+}
+
+/**
+ * The planetary day an instant falls in
+ * @param {Object} location - { latitude, longitude } in degrees, east positive
+ * @param {Date} [date] - Instant, defaults to now
+ * @returns {Object|null} { sunrise, sunset, nextSunrise, dayRuler, hours } where hours holds
+ *   24 { number, ruler, start, end, isDay } - or null where the Sun doesn't rise and set
+ */
+export function getPlanetaryDay(location, date = new Date()) {
+  const sunrise = findSunEvent(date, location, { rising: true, backward: true });
+  if (!sunrise) return null;
+
+  const sunset = findSunEvent(sunrise, location, { rising: false });
+  const nextSunrise = sunset && findSunEvent(sunset, location, { rising: true });
+  if (!sunset || !nextSunrise) return null;
+
+  const dayRuler = DAY_RULERS[localWeekday(sunrise, location.longitude)];
+
+  return {
+    sunrise,
+    sunset,
+    nextSunrise,
+    dayRuler,
+    hours: [
+      ...splitHours(sunrise, sunset, 1, dayRuler, true),
+      ...splitHours(sunset, nextSunrise, HOURS_PER_HALF + 1, dayRuler, false)
+    ]
+  };
+}
+
+/**
+ * Planetary hour in effect at an instant
+ * @param {Object} location - { latitude, longitude } in degrees, east positive
+ * @param {Date} [date] - Instant, defaults to now
+ * @returns {Object|null} { number, ruler, start, end, isDay, dayRuler }
+ */
+export function getPlanetaryHour(location, date = new Date()) {
+  const day = getPlanetaryDay(location, date);
+  if (!day) return null;
+
+  const hour = day.hours.find(({ end }) => date < end) ?? day.hours[day.hours.length - 1];
+  return { ...hour, dayRuler: day.dayRuler };
+}
+
+/**
+ * Next planetary hour of a planet, e.g. the next hour of Saturn
+ * @param {string} ruler - One of CHALDEAN_ORDER
+ * @param {Object} location - { latitude, longitude } in degrees, east positive
+ * @param {Date} [date] - Where to start searching, defaults to now
+ * @returns {Object|null} { number, ruler, start, end, isDay, dayRuler } of the first such hour
+ *   starting after the date, or null where the Sun doesn't rise and set
+ */
+export function findNextPlanetaryHour(ruler, location, date = new Date()) {
+  if (!CHALDEAN_ORDER.includes(ruler)) {
+    throw new Error(`Unknown planetary hour ruler: ${ruler}`);
+  }
+
+  // Each planet rules three or four hours of every planetary day, so at most
+  // the rest of today and tomorrow need looking at
+  let cursor = date;
+  for (let i = 0; i < 3; i++) {
+    const day = getPlanetaryDay(location, cursor);
+    if (!day) return null;
+
+    const hour = day.hours.find(candidate => candidate.ruler === ruler && candidate.start > date);
+    if (hour) return { ...hour, dayRuler: day.dayRuler };
+
+    cursor = new Date(day.nextSunrise.getTime() + MS_PER_MINUTE);
+  }
+
+  return null;
+}
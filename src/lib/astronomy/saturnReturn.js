@@ -0,0 +1,144 @@
+/**
+ * Saturn returns
+ * Saturn comes back to the longitude it held at birth roughly every 29.5
+ * years. Around each return it usually crosses that degree once going direct,
+ * but when a retrograde loop straddles it the crossing happens three times -
+ * forward, back, and forward again. Every crossing is a pass; the passes
+ * around one revolution make up a return.
+ *
+ * Longitudes are geocentric in the tropical zodiac, so the birth place only
+ * matters for turning the local birth time into an instant.
+ */
+import { geocentricPosition } from './geocentric.js';
+import { getZodiacPosition } from './zodiac.js';
+import { longitudeSpeed } from './stations.js';
+import { julianEphemerisDay, dateFromJulianEphemerisDay } from './time.js';
+import { zonedTimeToDate } from './timeZone.js';
+import { wrap180 } from './angles.js';
+
+export const SATURN_PERIOD = 10759.22; // days, sidereal
+
+const MS_PER_HOUR = 3600000;
+const SCAN_STEP = 2; // days - Saturn never recrosses a degree that fast
+const WINDOW = 3 * 365.25; // days either side of each expected return
+const PRECISION = 1 / 1440; // one minute, in days
+
+const saturnLongitude = (jd) => geocentricPosition('Saturn', jd).longitude;
+
+/**
+ * Instant of a local birth date and time
+ * With an IANA time zone the zone's historical offset is used; with only a
+ * longitude the time is taken as local mean time.
+ * @param {Object} birth
+ * @param {string} birth.date - Local date, YYYY-MM-DD
+ * @param {string} [birth.time] - Local time, HH:MM, defaults to noon
+ * @param {Object} [birth.place] - { timeZone, latitude, longitude }
+ * @returns {Date} Instant of birth
+ */
+export function birthInstant({ date, time = '12:00', place = {} }) {
+  const dateMatch = /^(-?\d{1,6})-(\d{2})-(\d{2})$/.exec(date ?? '');
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!dateMatch || !timeMatch) {
+    throw new Error(`Invalid birth date or time: ${date} ${time}`);
+  }
+
+  const [, year, month, day] = dateMatch.map(Number);
+  const [, hour, minute] = timeMatch.map(Number);
+
+  if (place.timeZone) {
+    return zonedTimeToDate({ year, month, day, hour, minute }, place.timeZone);
+  }
+
+  const wallClock = new Date(0);
+  wallClock.setUTCFullYear(year, month - 1, day);
+  wallClock.setUTCHours(hour, minute, 0, 0);
+  const local = wallClock.getTime();
+
+  if (Number.isFinite(place.longitude)) {
+    return new Date(local - (place.longitude / 15) * MS_PER_HOUR);
+  }
+
+  return new Date(local);
+}
+
+// Bisect the instant Saturn crosses a longitude between two Julian Days
+function refineCrossing(target, start, end) {
+  let low = start;
+  let high = end;
+  const lowNegative = wrap180(saturnLongitude(low) - target) < 0;
+
+  while (high - low > PRECISION / 4) {
+    const middle = (low + high) / 2;
+    if ((wrap180(saturnLongitude(middle) - target) < 0) === lowNegative) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Every time Saturn crosses a longitude within a range of Julian Days
+ * @param {number} longitude - Degrees, ecliptic of date
+ * @param {number} startJd - Range start, Julian Ephemeris Day (TT)
+ * @param {number} endJd - Range end, Julian Ephemeris Day (TT)
+ * @returns {Array} { jd (TT), date, retrograde } in time order
+ */
+export function findSaturnCrossings(longitude, startJd, endJd) {
+  const crossings = [];
+  let previousJd = startJd;
+  let previous = wrap180(saturnLongitude(startJd) - longitude);
+
+  for (let jd = startJd + SCAN_STEP; jd < endJd + SCAN_STEP; jd += SCAN_STEP) {
+    const at = Math.min(jd, endJd);
+    const current = wrap180(saturnLongitude(at) - longitude);
+
+    // A sign change far from zero is Saturn on the opposite side, not a crossing
+    if ((previous < 0) !== (current < 0) && Math.abs(current - previous) < 90) {
+      const exact = refineCrossing(longitude, previousJd, at);
+      crossings.push({
+        jd: exact,
+        date: dateFromJulianEphemerisDay(exact),
+        retrograde: longitudeSpeed('Saturn', exact) < 0
+      });
+    }
+
+    previousJd = at;
+    previous = current;
+  }
+
+  return crossings;
+}
+
+/**
+ * Natal Saturn and the Saturn returns that follow
+ * @param {Object} birth - { date, time, place }, see birthInstant()
+ * @param {Object} [options]
+ * @param {number} [options.count] - How many returns to find
+ * @returns {Object} { birth: Date, natal: zodiac position of Saturn, returns: [{ number, passes, first, last }] }
+ *   where each pass is { jd, date, retrograde } and first/last are the first and final pass dates
+ */
+export function findSaturnReturns(birth, { count = 3 } = {}) {
+  const born = birthInstant(birth);
+  const natal = getZodiacPosition('Saturn', born);
+  const bornJd = julianEphemerisDay(born);
+  const returns = [];
+
+  for (let number = 1; number <= count; number++) {
+    const expected = bornJd + number * SATURN_PERIOD;
+    const passes = findSaturnCrossings(natal.longitude, expected - WINDOW, expected + WINDOW);
+    if (passes.length === 0) continue;
+
+    returns.push({
+      number,
+      passes,
+      first: passes[0].date,
+      last: passes[passes.length - 1].date
+    });
+  }
+
+  return { birth: born, natal, returns };
+}
+
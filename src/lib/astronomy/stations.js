@@ -0,0 +1,144 @@
+/**
+ * Retrograde motion and stations
+ * A planet is retrograde while its geocentric ecliptic longitude decreases.
+ * Stations are the instants its longitudinal speed passes through zero:
+ * stationary retrograde (turning backward) and stationary direct (turning
+ * forward again). They are bracketed by scanning the speed day by day and
+ * then refined by bisection to well under a minute. Against a full ephemeris
+ * the times agree to within an hour for Mercury through Saturn; Uranus and
+ * Neptune move so slowly near a station that element errors stretch it to hours.
+ */
+import { geocentricPosition } from './geocentric.js';
+import { julianEphemerisDay, dateFromJulianEphemerisDay } from './time.js';
+import { wrap180 } from './angles.js';
+
+const MS_PER_DAY = 86400000;
+
+export const STATION_TYPES = {
+  RETROGRADE: 'retrograde', // Speed turns negative
+  DIRECT: 'direct' // Speed turns positive
+};
+
+// Bodies that can appear to move backward
+export const RETROGRADE_BODIES = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'];
+
+const SCAN_STEP = 1; // days - shorter than any retrograde or direct spell
+const DEFAULT_MAX_DAYS = 1000; // longer than Mars' 780 day synodic period
+const PRECISION = 1 / 1440; // one minute, in days
+
+/**
+ * Rate of change of geocentric longitude
+ * @param {string} body - Planet name
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @returns {number} Degrees per day, negative while retrograde
+ */
+export function longitudeSpeed(body, jd) {
+  const h = 0.05;
+  const before = geocentricPosition(body, jd - h).longitude;
+  const after = geocentricPosition(body, jd + h).longitude;
+  return wrap180(after - before) / (2 * h);
+}
+
+/**
+ * Whether a planet appears to move backward through the zodiac
+ * @param {string} body - Planet name
+ * @param {Date} [date] - Instant, defaults to now
+ * @returns {boolean} Always false for the Sun and Moon
+ */
+export function isRetrograde(body, date = new Date()) {
+  if (!RETROGRADE_BODIES.includes(body)) return false;
+  return longitudeSpeed(body, julianEphemerisDay(date)) < 0;
+}
+
+// Bisect a speed sign change between two Julian Days
+function refineStation(body, start, end) {
+  let low = start;
+  let high = end;
+  const lowSign = Math.sign(longitudeSpeed(body, low));
+
+  while (high - low > PRECISION / 4) {
+    const middle = (low + high) / 2;
+    if (Math.sign(longitudeSpeed(body, middle)) === lowSign) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+function describeStation(body, jd, type) {
+  return {
+    body,
+    type,
+    jd,
+    date: dateFromJulianEphemerisDay(jd),
+    longitude: geocentricPosition(body, jd).longitude
+  };
+}
+
+/**
+ * Find the nearest station after (or before) a date
+ * @param {string} body - Planet name
+ * @param {Date} [date] - Where to start searching, defaults to now
+ * @param {Object} [options]
+ * @param {boolean} [options.backward] - Search into the past instead
+ * @param {string} [options.type] - Only return stations of this STATION_TYPES value
+ * @param {number} [options.maxDays] - Give up after this many days
+ * @returns {Object|null} { body, type, date, jd (TT), longitude }, or null if none was found
+ */
+export function findStation(body, date = new Date(), { backward = false, type = null, maxDays = DEFAULT_MAX_DAYS } = {}) {
+  if (!RETROGRADE_BODIES.includes(body)) return null;
+
+  const direction = backward ? -1 : 1;
+  const startJd = julianEphemerisDay(date);
+  let previousJd = startJd;
+  let previousSpeed = longitudeSpeed(body, previousJd);
+
+  for (let day = SCAN_STEP; day <= maxDays; day += SCAN_STEP) {
+    const jd = startJd + day * direction;
+    const speed = longitudeSpeed(body, jd);
+
+    if (Math.sign(speed) !== Math.sign(previousSpeed)) {
+      const [earlier, later] = backward ? [jd, previousJd] : [previousJd, jd];
+      const laterSpeed = backward ? previousSpeed : speed;
+      const stationType = laterSpeed < 0 ? STATION_TYPES.RETROGRADE : STATION_TYPES.DIRECT;
+
+      if (!type || stationType === type) {
+        return describeStation(body, refineStation(body, earlier, later), stationType);
+      }
+    }
+
+    previousJd = jd;
+    previousSpeed = speed;
+  }
+
+  return null;
+}
+
+/**
+ * All stations in a date range, in order
+ * @param {string} body - Planet name
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Array} Stations as returned by findStation
+ */
+export function findStations(body, start, end) {
+  const stations = [];
+  const endJd = julianEphemerisDay(end);
+  let cursor = start;
+
+  for (;;) {
+    const remaining = endJd - julianEphemerisDay(cursor);
+    if (remaining <= 0) break;
+
+    const station = findStation(body, cursor, { maxDays: remaining + SCAN_STEP });
+    if (!station || station.jd > endJd) break;
+
+    stations.push(station);
+    cursor = new Date(station.date.getTime() + MS_PER_DAY);
+  }
+
+  return stations;
+}
@@ -0,0 +1,200 @@
+/**
+ * Sunrise, sunset and twilight
+ * Follows the Sun's altitude above a place and finds the instants it crosses
+ * the altitudes that mark each event. Sunrise and sunset are when the upper
+ * limb touches the horizon: the center 50 arcminutes below it, 34 for
+ * refraction and 16 for the Sun's radius. Civil, nautical and astronomical
+ * twilight end with the center 6, 12 and 18 degrees down. The altitude is
+ * sampled hourly and each crossing bisected to the second, so polar day and
+ * night simply find no crossing.
+ *
+ * Days are calendar days in the place's time zone, or in local mean time
+ * when it has none.
+ */
+import { equatorialPosition } from './coordinates.js';
+import { julianDay, dateFromJulianDay, terrestrialTime, greenwichMeanSiderealTime } from './time.js';
+import { zonedParts, zonedTimeToDate, formatZonedTime } from './timeZone.js';
+
+const DEG = Math.PI / 180;
+const MS_PER_HOUR = 3600000;
+const MS_PER_DAY = 86400000;
+
+// Altitude of the Sun's center at each event, degrees
+export const SUN_ALTITUDES = {
+  RISE_SET: -50 / 60,
+  CIVIL: -6,
+  NAUTICAL: -12,
+  ASTRONOMICAL: -18
+};
+
+// Events of a day in the order they happen: [name, altitude, rising]
+export const SOLAR_EVENTS = [
+  ['astronomicalDawn', SUN_ALTITUDES.ASTRONOMICAL, true],
+  ['nauticalDawn', SUN_ALTITUDES.NAUTICAL, true],
+  ['civilDawn', SUN_ALTITUDES.CIVIL, true],
+  ['sunrise', SUN_ALTITUDES.RISE_SET, true],
+  ['sunset', SUN_ALTITUDES.RISE_SET, false],
+  ['civilDusk', SUN_ALTITUDES.CIVIL, false],
+  ['nauticalDusk', SUN_ALTITUDES.NAUTICAL, false],
+  ['astronomicalDusk', SUN_ALTITUDES.ASTRONOMICAL, false]
+];
+
+const SCAN_STEP = 1 / 24; // days
+const PRECISION = 1 / 86400; // one second, in days
+const DEFAULT_MAX_DAYS = 2;
+
+/**
+ * Altitude of the Sun's center above the horizon, without refraction
+ * @param {number} jd - Julian Day (UT)
+ * @param {Object} location - { latitude, longitude } in degrees, east positive
+ * @returns {number} Degrees
+ */
+export function sunAltitude(jd, { latitude, longitude }) {
+  const { rightAscension, declination } = equatorialPosition('Sun', terrestrialTime(jd));
+  const hourAngle = (greenwichMeanSiderealTime(jd) + longitude - rightAscension) * DEG;
+
+  return Math.asin(
+    Math.sin(latitude * DEG) * Math.sin(declination * DEG)
+    + Math.cos(latitude * DEG) * Math.cos(declination * DEG) * Math.cos(hourAngle)
+  ) / DEG;
+}
+
+// Bisect an altitude crossing between two Julian Days
+function refineCrossing(location, altitude, start, end) {
+  let low = start;
+  let high = end;
+  const lowAbove = sunAltitude(low, location) > altitude;
+
+  while (high - low > PRECISION) {
+    const middle = (low + high) / 2;
+    if ((sunAltitude(middle, location) > altitude) === lowAbove) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Next (or previous) time the Sun rises or sets at a place
+ * @param {Date} date - Where to start searching
+ * @param {Object} location - { latitude, longitude } in degrees, east positive
+ * @param {Object} [options]
+ * @param {boolean} [options.rising] - Sunrise when true, sunset when false
+ * @param {number} [options.altitude] - Altitude of the Sun's center, defaults to SUN_ALTITUDES.RISE_SET
+ * @param {boolean} [options.backward] - Search into the past instead
+ * @param {number} [options.maxDays] - Give up after this many days
+ * @returns {Date|null} The instant, or null when the Sun never crosses that altitude in time
+ */
+export function findSunEvent(date, location, {
+  rising = true,
+  altitude = SUN_ALTITUDES.RISE_SET,
+  backward = false,
+  maxDays = DEFAULT_MAX_DAYS
+} = {}) {
+  const direction = backward ? -1 : 1;
+  const startJd = julianDay(date);
+  let previousJd = startJd;
+  let previousAbove = sunAltitude(startJd, location) > altitude;
+
+  for (let step = SCAN_STEP; step <= maxDays + SCAN_STEP / 2; step += SCAN_STEP) {
+    const jd = startJd + step * direction;
+    const above = sunAltitude(jd, location) > altitude;
+
+    if (above !== previousAbove) {
+      const [earlier, later] = backward ? [jd, previousJd] : [previousJd, jd];
+      const laterAbove = backward ? previousAbove : above;
+      if (laterAbove === rising) {
+        return dateFromJulianDay(refineCrossing(location, altitude, earlier, later));
+      }
+    }
+
+    previousJd = jd;
+    previousAbove = above;
+  }
+
+  return null;
+}
+
+/**
+ * Calendar day an instant falls on at a place
+ * @param {Date} date - Instant
+ * @param {Object} location - { longitude, timeZone? }
+ * @returns {Object} { label: 'YYYY-MM-DD', start, end } with start and end the surrounding midnights
+ */
+export function localDay(date, { longitude, timeZone }) {
+  if (timeZone) {
+    const { year, month, day } = zonedParts(date, timeZone);
+    const start = zonedTimeToDate({ year, month, day }, timeZone);
+    // Step past the next midnight by a few hours so a 23 or 25 hour day still lands on it
+    const next = zonedParts(new Date(start.getTime() + MS_PER_DAY + 3 * MS_PER_HOUR), timeZone);
+    const end = zonedTimeToDate({ year: next.year, month: next.month, day: next.day }, timeZone);
+    return { label: formatLabel(year, month, day), start, end };
+  }
+
+  const offset = (longitude / 15) * MS_PER_HOUR;
+  const local = new Date(date.getTime() + offset);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offset;
+  return {
+    label: formatLabel(local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate()),
+    start: new Date(midnight),
+    end: new Date(midnight + MS_PER_DAY)
+  };
+}
+
+function formatLabel(year, month, day) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// First crossing of an altitude within a day, or null
+function eventOnDay(day, location, altitude, rising) {
+  const event = findSunEvent(day.start, location, {
+    rising,
+    altitude,
+    maxDays: (day.end - day.start) / MS_PER_DAY
+  });
+  return event && event < day.end ? event : null;
+}
+
+/**
+ * Sunrise and sunset on a local calendar day
+ * @param {Date} date - Any instant on the day
+ * @param {Object} location - { latitude, longitude, timeZone? } in degrees, east positive
+ * @returns {Object} { sunrise, sunset } as Dates, either null if the Sun doesn't rise or set that day
+ */
+export function getSunTimes(date, location) {
+  const day = localDay(date, location);
+  return {
+    sunrise: eventOnDay(day, location, SUN_ALTITUDES.RISE_SET, true),
+    sunset: eventOnDay(day, location, SUN_ALTITUDES.RISE_SET, false)
+  };
+}
+
+/**
+ * Sunrise, sunset and the three twilights on a local calendar day
+ * @param {Date} date - Any instant on the day
+ * @param {Object} location - { latitude, longitude, timeZone? } in degrees, east positive
+ * @returns {Object} { date: 'YYYY-MM-DD', timeZone, local, ...events } with one Date (or null
+ *   when it doesn't happen that day) per SOLAR_EVENTS name, and local holding the same events
+ *   as HH:MM in the place's time zone
+ */
+export function getSolarEvents(date, location) {
+  const day = localDay(date, location);
+  const events = {};
+  const local = {};
+
+  SOLAR_EVENTS.forEach(([name, altitude, rising]) => {
+    events[name] = eventOnDay(day, location, altitude, rising);
+    local[name] = events[name] && formatLocalTime(events[name], location);
+  });
+
+  return { date: day.label, timeZone: location.timeZone ?? null, ...events, local };
+}
+
+// Clock time in the place's zone, or in local mean time without one
+function formatLocalTime(date, { longitude, timeZone }) {
+  if (timeZone) return formatZonedTime(date, timeZone);
+  return formatZonedTime(new Date(date.getTime() + (longitude / 15) * MS_PER_HOUR), 'UTC');
+}
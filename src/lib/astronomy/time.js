@@ -0,0 +1,190 @@
+/**
+ * Astronomical time
+ * Julian Days, ΔT and sidereal time. Dates and the clock run on Universal
+ * Time, but the ephemerides run on Terrestrial Time, which is ahead of UT by
+ * ΔT - about 69 seconds in 2025, enough to move the Moon half an arcminute.
+ * Positions take a Julian Ephemeris Day (JDE, TT); sidereal time and the
+ * Earth's rotation take a UT Julian Day. Convert between them here rather
+ * than adding ΔT by hand.
+ *
+ * ΔT uses the Espenak & Meeus polynomials from NASA's Five Millennium Canon
+ * of Solar Eclipses, the same as astronomy-engine. They run a few seconds
+ * high after 2020. Sidereal time follows Meeus, Astronomical Algorithms
+ * 12.4, with the 4-term nutation of chapter 22 for apparent time.
+ */
+import { wrap360 } from './angles.js';
+
+export const J2000 = 2451545.0; // Julian Day of 2000-01-01 12:00 TT
+export const DAYS_PER_CENTURY = 36525;
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const SECONDS_PER_DAY = 86400;
+const UNIX_EPOCH_JD = 2440587.5;
+const DAYS_PER_YEAR = 365.25;
+
+// ΔT in seconds as polynomials in t = (year - origin) / scale, each used up to its year
+const DELTA_T_SEGMENTS = [
+  { until: -500, origin: 1820, scale: 100, terms: [-20, 0, 32] },
+  { until: 500, origin: 0, scale: 100, terms: [10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192, 0.0090316521] },
+  { until: 1600, origin: 1000, scale: 100, terms: [1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998, 0.0083572073] },
+  { until: 1700, origin: 1600, scale: 1, terms: [120, -0.9808, -0.01532, 1 / 7129] },
+  { until: 1800, origin: 1700, scale: 1, terms: [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000] },
+  { until: 1860, origin: 1800, scale: 1, terms: [13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436, 0.0000121272, -0.0000001699, 0.000000000875] },
+  { until: 1900, origin: 1860, scale: 1, terms: [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174] },
+  { until: 1920, origin: 1900, scale: 1, terms: [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197] },
+  { until: 1941, origin: 1920, scale: 1, terms: [21.20, 0.84493, -0.076100, 0.0020936] },
+  { until: 1961, origin: 1950, scale: 1, terms: [29.07, 0.407, -1 / 233, 1 / 2547] },
+  { until: 1986, origin: 1975, scale: 1, terms: [45.45, 1.067, -1 / 260, -1 / 718] },
+  { until: 2005, origin: 2000, scale: 1, terms: [63.86, 0.3345, -0.060374, 0.0017275, 0.000651814, 0.00002373599] },
+  { until: 2050, origin: 2000, scale: 1, terms: [62.92, 0.32217, 0.005589] }
+];
+
+function polynomial(terms, t) {
+  return terms.reduceRight((sum, term) => sum * t + term, 0);
+}
+
+/**
+ * Julian Day for a Date
+ * @param {Date} date - Instant in time
+ * @returns {number} Julian Day, UT
+ */
+export function julianDay(date) {
+  return date.getTime() / MS_PER_DAY + UNIX_EPOCH_JD;
+}
+
+/**
+ * Date for a Julian Day
+ * @param {number} jd - Julian Day, UT
+ * @returns {Date} Instant in time
+ */
+export function dateFromJulianDay(jd) {
+  // A Julian Day only resolves about 40 microseconds, so round rather than truncate
+  return new Date(Math.round((jd - UNIX_EPOCH_JD) * MS_PER_DAY));
+}
+
+/**
+ * Julian centuries since J2000
+ * @param {number} jd - Julian Day
+ * @returns {number} Centuries
+ */
+export function julianCenturies(jd) {
+  return (jd - J2000) / DAYS_PER_CENTURY;
+}
+
+/**
+ * Difference between Terrestrial and Universal Time, TT - UT
+ * @param {number} jd - Julian Day
+ * @returns {number} Seconds
+ */
+export function deltaT(jd) {
+  const year = 2000 + (jd - J2000) / DAYS_PER_YEAR;
+  const segment = DELTA_T_SEGMENTS.find(({ until }) => year < until);
+  if (segment) {
+    return polynomial(segment.terms, (year - segment.origin) / segment.scale);
+  }
+
+  // Long-term parabola, blended into the last segment until 2150
+  const u = (year - 1820) / 100;
+  const longTerm = -20 + 32 * u * u;
+  return year < 2150 ? longTerm - 0.5628 * (2150 - year) : longTerm;
+}
+
+/**
+ * Julian Ephemeris Day for a UT Julian Day
+ * @param {number} jd - Julian Day, UT
+ * @returns {number} Julian Ephemeris Day, TT
+ */
+export function terrestrialTime(jd) {
+  return jd + deltaT(jd) / SECONDS_PER_DAY;
+}
+
+/**
+ * UT Julian Day for a Julian Ephemeris Day
+ * @param {number} jde - Julian Ephemeris Day, TT
+ * @returns {number} Julian Day, UT
+ */
+export function universalTime(jde) {
+  // ΔT barely changes in a minute, so one correction lands within a microsecond
+  const guess = jde - deltaT(jde) / SECONDS_PER_DAY;
+  return jde - deltaT(guess) / SECONDS_PER_DAY;
+}
+
+/**
+ * Julian Ephemeris Day for a Date, what the ephemerides take
+ * @param {Date} date - Instant in time
+ * @returns {number} Julian Ephemeris Day, TT
+ */
+export function julianEphemerisDay(date) {
+  return terrestrialTime(julianDay(date));
+}
+
+/**
+ * Date for a Julian Ephemeris Day, e.g. one an event search settled on
+ * @param {number} jde - Julian Ephemeris Day, TT
+ * @returns {Date} Instant in time
+ */
+export function dateFromJulianEphemerisDay(jde) {
+  return dateFromJulianDay(universalTime(jde));
+}
+
+/**
+ * Nutation in longitude and obliquity, good to about half an arcsecond (Meeus 22)
+ * @param {number} T - Julian centuries since J2000
+ * @returns {Object} { longitude, obliquity } in degrees
+ */
+export function nutation(T) {
+  const node = (125.04452 - 1934.136261 * T) * DEG;
+  const sun = (280.4665 + 36000.7698 * T) * DEG;
+  const moon = (218.3165 + 481267.8813 * T) * DEG;
+
+  return {
+    longitude: (-17.20 * Math.sin(node) - 1.32 * Math.sin(2 * sun)
+      - 0.23 * Math.sin(2 * moon) + 0.21 * Math.sin(2 * node)) / 3600,
+    obliquity: (9.20 * Math.cos(node) + 0.57 * Math.cos(2 * sun)
+      + 0.10 * Math.cos(2 * moon) - 0.09 * Math.cos(2 * node)) / 3600
+  };
+}
+
+/**
+ * Greenwich mean sidereal time (Meeus 12.4)
+ * @param {number} jd - Julian Day, UT
+ * @returns {number} Degrees
+ */
+export function greenwichMeanSiderealTime(jd) {
+  const T = julianCenturies(jd);
+  return wrap360(280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T * T - T * T * T / 38710000);
+}
+
+/**
+ * Greenwich apparent sidereal time, mean time plus the equation of the equinoxes
+ * @param {number} jd - Julian Day, UT
+ * @returns {number} Degrees
+ */
+export function greenwichApparentSiderealTime(jd) {
+  const T = julianCenturies(terrestrialTime(jd));
+  const { longitude, obliquity } = nutation(T);
+  // The cosine needs no better than the linear mean obliquity
+  const trueObliquity = 23.4392911 - 0.0130042 * T + obliquity;
+  return wrap360(greenwichMeanSiderealTime(jd) + longitude * Math.cos(trueObliquity * DEG));
+}
+
+/**
+ * Local mean sidereal time
+ * @param {number} jd - Julian Day, UT
+ * @param {number} longitude - Degrees, east positive
+ * @returns {number} Degrees
+ */
+export function localMeanSiderealTime(jd, longitude) {
+  return wrap360(greenwichMeanSiderealTime(jd) + longitude);
+}
+
+/**
+ * Local apparent sidereal time
+ * @param {number} jd - Julian Day, UT
+ * @param {number} longitude - Degrees, east positive
+ * @returns {number} Degrees
+ */
+export function localApparentSiderealTime(jd, longitude) {
+  return wrap360(greenwichApparentSiderealTime(jd) + longitude);
+}
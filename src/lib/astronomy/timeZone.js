@@ -0,0 +1,85 @@
+/**
+ * IANA time zones
+ * Wall-clock time in a zone and back, leaning on the browser's Intl data
+ * for each zone's historical offsets and daylight saving rules.
+ */
+
+const MS_PER_SECOND = 1000;
+
+/**
+ * Wall-clock reading of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone, e.g. 'Europe/London'
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const { year, month, day, hour, minute, second } = parts;
+  const wallClock = new Date(0);
+  wallClock.setUTCFullYear(year, month - 1, day);
+
+  return { year, month, day, hour, minute, second, weekday: wallClock.getUTCDay() };
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Milliseconds to add to UTC for local time
+ */
+export function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const wallClock = new Date(0);
+  wallClock.setUTCFullYear(year, month - 1, day);
+  wallClock.setUTCHours(hour, minute, second, 0);
+  return wallClock.getTime() - Math.floor(date.getTime() / MS_PER_SECOND) * MS_PER_SECOND;
+}
+
+/**
+ * Instant of a wall-clock time in a time zone
+ * A time skipped by a daylight saving change lands an hour later, as a clock
+ * set forward would show it.
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA zone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = new Date(0);
+  wallClock.setUTCFullYear(year, month - 1, day);
+  wallClock.setUTCHours(hour, minute, second, 0);
+  const local = wallClock.getTime();
+
+  // Guess with the offset at the wall-clock time, then correct across a DST change
+  const before = timeZoneOffset(new Date(local), timeZone);
+  const after = timeZoneOffset(new Date(local - before), timeZone);
+  if (before === after) return new Date(local - before);
+
+  const corrected = local - after;
+  if (timeZoneOffset(new Date(corrected), timeZone) === after) return new Date(corrected);
+
+  // Neither offset reads back, so the time is in a gap - use the offset from before it
+  return new Date(local - Math.min(before, after));
+}
+
+/**
+ * Clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA zone, defaults to the browser's
+ * @returns {string} HH:MM, 24-hour
+ */
+export function formatZonedTime(date, timeZone) {
+  return date.toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+}
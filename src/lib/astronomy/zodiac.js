@@ -0,0 +1,138 @@
+/**
+ * Zodiac positions
+ * Places a body's geocentric ecliptic longitude in its sign, with the
+ * degree and minute within the sign, the decan (face) and its Chaldean
+ * ruler, and the Egyptian term (bound) ruler.
+ *
+ * The tropical zodiac starts at the vernal equinox of date. The sidereal
+ * zodiac is shifted back by an ayanamsa, anchored at an epoch and carried
+ * forward by general precession the way the Swiss Ephemeris does it.
+ */
+import { geocentricPosition, generalPrecession, EQUINOX } from './geocentric.js';
+import { julianCenturies, julianEphemerisDay } from './time.js';
+import { wrap360 } from './angles.js';
+
+export const SIGNS = [
+  { name: 'Aries', symbol: '♈' },
+  { name: 'Taurus', symbol: '♉' },
+  { name: 'Gemini', symbol: '♊' },
+  { name: 'Cancer', symbol: '♋' },
+  { name: 'Leo', symbol: '♌' },
+  { name: 'Virgo', symbol: '♍' },
+  { name: 'Libra', symbol: '♎' },
+  { name: 'Scorpio', symbol: '♏' },
+  { name: 'Sagittarius', symbol: '♐' },
+  { name: 'Capricorn', symbol: '♑' },
+  { name: 'Aquarius', symbol: '♒' },
+  { name: 'Pisces', symbol: '♓' }
+];
+
+export const ZODIACS = {
+  TROPICAL: 'tropical',
+  SIDEREAL: 'sidereal'
+};
+
+// Ayanamsa value (degrees) at a reference epoch (Julian Day)
+export const AYANAMSAS = {
+  lahiri: { name: 'Lahiri', epoch: 2435553.5, value: 23.245524743 },
+  'fagan-bradley': { name: 'Fagan-Bradley', epoch: 2433282.42346, value: 24.042044444 }
+};
+
+// Decans follow the Chaldean order from Mars at 0° Aries
+const CHALDEAN_FACES = ['Mars', 'Sun', 'Venus', 'Mercury', 'Moon', 'Saturn', 'Jupiter'];
+
+// Egyptian terms per sign, as [ruler, end degree] from Ptolemy's Tetrabiblos
+export const EGYPTIAN_TERMS = [
+  [['Jupiter', 6], ['Venus', 12], ['Mercury', 20], ['Mars', 25], ['Saturn', 30]],
+  [['Venus', 8], ['Mercury', 14], ['Jupiter', 22], ['Saturn', 27], ['Mars', 30]],
+  [['Mercury', 6], ['Jupiter', 12], ['Venus', 17], ['Mars', 24], ['Saturn', 30]],
+  [['Mars', 7], ['Venus', 13], ['Mercury', 19], ['Jupiter', 26], ['Saturn', 30]],
+  [['Jupiter', 6], ['Venus', 11], ['Saturn', 18], ['Mercury', 24], ['Mars', 30]],
+  [['Mercury', 7], ['Venus', 17], ['Jupiter', 21], ['Mars', 28], ['Saturn', 30]],
+  [['Saturn', 6], ['Mercury', 14], ['Jupiter', 21], ['Venus', 28], ['Mars', 30]],
+  [['Mars', 7], ['Venus', 11], ['Mercury', 19], ['Jupiter', 24], ['Saturn', 30]],
+  [['Jupiter', 12], ['Venus', 17], ['Mercury', 21], ['Saturn', 26], ['Mars', 30]],
+  [['Mercury', 7], ['Jupiter', 14], ['Venus', 22], ['Saturn', 26], ['Mars', 30]],
+  [['Mercury', 7], ['Venus', 13], ['Jupiter', 20], ['Mars', 25], ['Saturn', 30]],
+  [['Venus', 12], ['Jupiter', 16], ['Mercury', 19], ['Mars', 28], ['Saturn', 30]]
+];
+
+/**
+ * Sidereal offset for a date
+ * @param {number} jd - Julian Ephemeris Day (TT)
+ * @param {string} [system] - Key of AYANAMSAS
+ * @returns {number} Degrees to subtract from a tropical longitude
+ */
+export function getAyanamsa(jd, system = 'lahiri') {
+  const ayanamsa = AYANAMSAS[system];
+  if (!ayanamsa) {
+    throw new Error(`Unknown ayanamsa: ${system}`);
+  }
+  return ayanamsa.value + generalPrecession(julianCenturies(ayanamsa.epoch), julianCenturies(jd));
+}
+
+/**
+ * Format degrees within a sign as 27°14'
+ * @param {number} degrees - 0 to 30
+ * @returns {string}
+ */
+export function formatDegreeMinute(degrees) {
+  const totalMinutes = Math.floor(degrees * 60 + 1e-9);
+  return `${Math.floor(totalMinutes / 60)}°${String(totalMinutes % 60).padStart(2, '0')}'`;
+}
+
+/**
+ * Describe an ecliptic longitude in zodiac terms
+ * @param {number} longitude - Degrees, already in the chosen zodiac
+ * @returns {Object} { sign, symbol, signIndex, degreeInSign, degree, minute, decan, decanRuler, termRuler }
+ */
+export function describeLongitude(longitude) {
+  const normalized = wrap360(longitude);
+  const signIndex = Math.floor(normalized / 30);
+  const degreeInSign = normalized - signIndex * 30;
+  const totalMinutes = Math.floor(degreeInSign * 60 + 1e-9);
+  const decan = Math.min(Math.floor(degreeInSign / 10), 2);
+  const term = EGYPTIAN_TERMS[signIndex].find(([, end]) => degreeInSign < end);
+
+  return {
+    sign: SIGNS[signIndex].name,
+    symbol: SIGNS[signIndex].symbol,
+    signIndex,
+    degreeInSign,
+    degree: Math.floor(totalMinutes / 60),
+    minute: totalMinutes % 60,
+    decan: decan + 1,
+    decanRuler: CHALDEAN_FACES[(signIndex * 3 + decan) % CHALDEAN_FACES.length],
+    termRuler: (term || EGYPTIAN_TERMS[signIndex][4])[0]
+  };
+}
+
+/**
+ * Zodiac position of a body
+ * @param {string} planetName - Sun, Moon or a planet
+ * @param {Date} [date] - Instant, defaults to now
+ * @param {Object} [options]
+ * @param {string} [options.zodiac] - ZODIACS.TROPICAL or ZODIACS.SIDEREAL
+ * @param {string} [options.ayanamsa] - Key of AYANAMSAS for the sidereal zodiac
+ * @returns {Object|null} describeLongitude() fields plus body, longitude, latitude,
+ *   zodiac, ayanamsa (degrees, null for tropical) and a label like "Saturn at 27°14' Pisces"
+ */
+export function getZodiacPosition(planetName, date = new Date(), { zodiac = ZODIACS.TROPICAL, ayanamsa = 'lahiri' } = {}) {
+  const jd = julianEphemerisDay(date);
+  const position = geocentricPosition(planetName, jd, { equinox: EQUINOX.DATE });
+  if (!position) return null;
+
+  const offset = zodiac === ZODIACS.SIDEREAL ? getAyanamsa(jd, ayanamsa) : null;
+  const longitude = wrap360(position.longitude - (offset ?? 0));
+  const described = describeLongitude(longitude);
+
+  return {
+    body: planetName,
+    longitude,
+    latitude: position.latitude,
+    zodiac,
+    ayanamsa: offset,
+    ...described,
+    label: `${planetName} at ${formatDegreeMinute(described.degreeInSign)} ${described.sign}`
+  };
+}
@@ -0,0 +1,133 @@
+import { PERFORMANCE } from '../three-core/utils/Constants.js';
+
+// Modes from highest to lowest detail
+const MODE_ORDER = [
+  PERFORMANCE.MODES.QUALITY,
+  PERFORMANCE.MODES.BALANCED,
+  PERFORMANCE.MODES.PERFORMANCE
+];
+
+// Frames longer than this are tab switches or debugger pauses, not slowness
+const MAX_FRAME_TIME = 250;
+
+/**
+ * Adaptive quality manager
+ * Samples frame times and steps between quality, balanced and performance
+ * modes when the average stays outside the frame budget. It only reports
+ * the decision - the caller dispatches it through the store.
+ *
+ * A device can be fast enough for one mode and too slow for the next one up
+ * (e.g. vsync-capped in balanced, 40fps in quality). When an upgrade is
+ * followed straight away by a downgrade, that mode is blocked for twice as
+ * long each time, up to budget.maxBackoff, so it doesn't flip back and forth.
+ */
+export class QualityManager {
+  constructor({
+    onChange = () => {},
+    initialMode = PERFORMANCE.MODES.QUALITY,
+    budget = PERFORMANCE.FRAME_BUDGET,
+    now = () => performance.now()
+  } = {}) {
+    this.onChange = onChange;
+    this.mode = initialMode;
+    this.budget = budget;
+    this.now = now;
+
+    this.samples = [];
+    this.lastFrameTime = null;
+    this.lastSwitchTime = -Infinity;
+    this.lastUpgrade = null; // Mode the last switch upgraded to, if it was an upgrade
+    this.failedUpgrades = {}; // mode -> { failures, until }
+  }
+
+  /**
+   * Record one animation frame
+   * @param {number} [timestamp] - Frame timestamp in ms, defaults to the clock
+   */
+  frame(timestamp = this.now()) {
+    if (this.lastFrameTime !== null) {
+      this.sample(timestamp - this.lastFrameTime, timestamp);
+    }
+    this.lastFrameTime = timestamp;
+  }
+
+  /**
+   * Record one frame duration and switch mode if the budget is missed
+   * @param {number} frameTime - Duration of the frame in ms
+   * @param {number} [timestamp] - Current time in ms
+   * @returns {string} Current mode
+   */
+  sample(frameTime, timestamp = this.now()) {
+    if (!(frameTime > 0) || frameTime > MAX_FRAME_TIME) return this.mode;
+
+    this.samples.push(frameTime);
+    if (this.samples.length > this.budget.sampleSize) {
+      this.samples.shift();
+    }
+
+    if (this.samples.length < this.budget.sampleSize) return this.mode;
+    if (timestamp - this.lastSwitchTime < this.budget.cooldown) return this.mode;
+
+    const average = this.getAverageFrameTime();
+    const index = MODE_ORDER.indexOf(this.mode);
+
+    if (average > this.budget.downgradeAbove && index < MODE_ORDER.length - 1) {
+      this.switchTo(MODE_ORDER[index + 1], timestamp);
+    } else if (average < this.budget.upgradeBelow && index > 0 && this.canUpgradeTo(MODE_ORDER[index - 1], timestamp)) {
+      this.switchTo(MODE_ORDER[index - 1], timestamp);
+    }
+
+    return this.mode;
+  }
+
+  getAverageFrameTime() {
+    if (this.samples.length === 0) return 0;
+    return this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+  }
+
+  /**
+   * Whether an upgrade that failed before may be tried again
+   * @param {string} mode - One of PERFORMANCE.MODES
+   * @param {number} timestamp - Current time in ms
+   * @returns {boolean}
+   */
+  canUpgradeTo(mode, timestamp) {
+    const failed = this.failedUpgrades[mode];
+    return !failed || timestamp >= failed.until;
+  }
+
+  switchTo(mode, timestamp) {
+    const upgrade = MODE_ORDER.indexOf(mode) < MODE_ORDER.indexOf(this.mode);
+
+    // Stepping down out of the mode just upgraded to - the upgrade didn't hold
+    if (!upgrade && this.lastUpgrade === this.mode) {
+      const failures = (this.failedUpgrades[this.mode]?.failures ?? 0) + 1;
+      const wait = Math.min(this.budget.cooldown * 2 ** failures, this.budget.maxBackoff ?? Infinity);
+      this.failedUpgrades[this.mode] = { failures, until: timestamp + wait };
+    }
+
+    this.lastUpgrade = upgrade ? mode : null;
+    this.mode = mode;
+    this.samples = [];
+    this.lastSwitchTime = timestamp;
+    this.onChange(mode);
+  }
+
+  /**
+   * Sync with a mode chosen elsewhere (e.g. restored from the store)
+   * @param {string} mode - One of PERFORMANCE.MODES
+   */
+  setMode(mode) {
+    if (!MODE_ORDER.includes(mode) || mode === this.mode) return;
+    this.mode = mode;
+    this.samples = [];
+  }
+
+  reset() {
+    this.samples = [];
+    this.lastFrameTime = null;
+    this.lastSwitchTime = -Infinity;
+    this.lastUpgrade = null;
+    this.failedUpgrades = {};
+  }
+}
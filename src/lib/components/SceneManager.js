@@ -4,7 +4,7 @@ import { SaturnObject } from './objects/SaturnObject.js';
 import { TriangleObject } from './objects/TriangleObject.js';
 import { FlowerOfLife } from './objects/FlowerOfLife.js';
 import { createWastelandGround } from '../three-core/components/Ground.js';
-import { LIGHTING } from '../three-core/utils/Constants.js';
+import { LIGHTING, PERFORMANCE } from '../three-core/utils/Constants.js';
 
 export class SceneManager {
   constructor(canvas) {
@@ -19,6 +19,7 @@ export class SceneManager {
     this.triangleObject = null;
     this.flowerObject = null;
     this.ground = null;
+    this.performanceMode = PERFORMANCE.MODES.QUALITY;
     
     // Constants
     this.PHI = (1 + Math.sqrt(5)) / 2;
@@ -51,7 +52,7 @@ export class SceneManager {
       logarithmicDepthBuffer: false
     });
     this.renderer.setSize(window.innerWidth, window.innerHeight);
-    this.renderer.setPixelRatio(window.devicePixelRatio);
+    this.renderer.setPixelRatio(this.getPixelRatio());
     this.renderer.shadowMap.enabled = false;
     this.renderer.toneMapping = THREE.NoToneMapping;
     this.renderer.toneMappingExposure = 1.0;
@@ -151,6 +152,23 @@ export class SceneManager {
     if (this.flowerObject) this.flowerObject.setTubeRadius(radius);
   }
 
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, PERFORMANCE.PIXEL_RATIO[this.performanceMode]);
+  }
+
+  setPerformanceMode(mode) {
+    if (mode === this.performanceMode || !PERFORMANCE.PIXEL_RATIO[mode]) return;
+    this.performanceMode = mode;
+    
+    if (this.renderer) {
+      this.renderer.setPixelRatio(this.getPixelRatio());
+      this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+    
+    if (this.saturnObject) this.saturnObject.setPerformanceMode(mode);
+    if (this.flowerObject) this.flowerObject.setPerformanceMode(mode);
+  }
+
   render() {
     this.renderer.render(this.scene, this.camera);
   }
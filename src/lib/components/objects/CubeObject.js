@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { STAGES } from '../../ritualMachine.js';
 
 export class CubeObject {
   constructor(scene, tubeRadius = 0.025) {
@@ -77,7 +78,7 @@ export class CubeObject {
   }
 
   updateAppearance(cameraPosition, state) {
-    if (!state.showCube || !this.cube) return;
+    if (state.stage !== STAGES.CUBE || !this.cube) return;
 
     // Update cube opacity smoothly
     if (state.saturnTimingActive && !state.saturnSecretUnlocked) {
@@ -91,7 +92,7 @@ export class CubeObject {
     this.cube.material.opacity = this.currentCubeOpacity;
 
     // Update cube rotation
-    if (!state.showSaturn && !state.cubeIsHexagon && state.autoRotate) {
+    if (state.stage !== STAGES.SATURN && !state.cubeIsHexagon && state.autoRotate) {
       this.cube.rotation.x += 0.003;
       this.cube.rotation.y += 0.005;
     }
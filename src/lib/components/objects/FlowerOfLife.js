@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { PERFORMANCE } from '../../three-core/utils/Constants.js';
+import { getSecretConfig } from '../../secretConfig.js';
 
 export class FlowerOfLife {
   constructor(scene, tubeRadius = 0.025) {
@@ -7,11 +9,12 @@ export class FlowerOfLife {
     this.flowerGroup = null;
     this.metatronCube = null;
     this.radius = 3;
+    this.performanceMode = PERFORMANCE.MODES.QUALITY;
     
     // Sacred order tracking
     this.metatronClicks = [];
     this.showMetatron = false;
-    this.FRUIT_OF_LIFE_ORDER = [0, 1, 3, 5, 2, 4, 6, 7, 9, 11, 8, 10, 12];
+    this.FRUIT_OF_LIFE_ORDER = getSecretConfig().flower.fruitOfLifeOrder;
     
     // Store circle data
     this.circleData = [];
@@ -76,6 +79,22 @@ export class FlowerOfLife {
   }
 
   createCircle(x, y, z = 0, id) {
+    const tubeGeometry = this.createCircleGeometry(x, y, z);
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: 0xffffff  // White color for flower circles
+    });
+    
+    const circle = new THREE.Mesh(tubeGeometry, material);
+    circle.userData = { id, centerX: x, centerY: y, clicked: false };
+    circle.name = `circle_${id}`;
+    return circle;
+  }
+
+  createCircleGeometry(x, y, z = 0) {
+    // 64 segments at full quality
+    const segments = PERFORMANCE.ORBIT_SEGMENTS[this.performanceMode] / 4;
+    
     const curve = new THREE.EllipseCurve(
       x, y,            // Center
       this.radius, this.radius,  // xRadius, yRadius
@@ -84,28 +103,19 @@ export class FlowerOfLife {
       0                // rotation
     );
     
-    const points = curve.getPoints(64);
+    const points = curve.getPoints(segments);
     
     // Create tube geometry for thick lines
-    const tubeGeometry = new THREE.TubeGeometry(
+    return new THREE.TubeGeometry(
       new THREE.CatmullRomCurve3(
         points.map(p => new THREE.Vector3(p.x, p.y, z)),
         true // closed curve
       ),
-      64,        // tubular segments
+      segments,  // tubular segments
       this.tubeRadius * 0.8, // slightly thinner than other objects
       8,         // radial segments
       true       // closed
     );
-    
-    const material = new THREE.MeshBasicMaterial({
-      color: 0xffffff  // White color for flower circles
-    });
-    
-    const circle = new THREE.Mesh(tubeGeometry, material);
-    circle.userData = { id, centerX: x, centerY: y, clicked: false };
-    circle.name = `circle_${id}`;
-    return circle;
   }
 
   createClickableNode(x, y, z = 0, id) {
@@ -304,6 +314,18 @@ export class FlowerOfLife {
     // Would need to recreate all circles with new radius
   }
 
+  setPerformanceMode(mode) {
+    if (mode === this.performanceMode || !PERFORMANCE.ORBIT_SEGMENTS[mode]) return;
+    this.performanceMode = mode;
+
+    // Swap circle geometry in place so click state and node lookups survive
+    this.nodeMap.forEach(({ circle }) => {
+      if (!circle) return;
+      circle.geometry.dispose();
+      circle.geometry = this.createCircleGeometry(circle.userData.centerX, circle.userData.centerY);
+    });
+  }
+
   dispose() {
     // Cleanup flower circles
     if (this.flowerGroup) {
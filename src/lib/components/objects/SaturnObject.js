@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { PERFORMANCE } from '../../three-core/utils/Constants.js';
+import { getSecretConfig } from '../../secretConfig.js';
 
 export class SaturnObject {
   constructor(scene, tubeRadius = 0.025) {
@@ -7,6 +9,7 @@ export class SaturnObject {
     this.saturn = null;
     this.saturnRings = null;
     this.PHI = (1 + Math.sqrt(5)) / 2; // Golden ratio
+    this.performanceMode = PERFORMANCE.MODES.QUALITY;
     
     // Saturn timing secret variables
     this.saturnCounter = 0;
@@ -20,8 +23,7 @@ export class SaturnObject {
     const cubeEdge = 10;
     const saturnRadius = cubeEdge / (2 * this.PHI); // ≈ 3.09
     
-    // Sacred numbers: 32 segments (power of 2), 24 stacks (hours in day)
-    const saturnGeometry = new THREE.SphereGeometry(saturnRadius, 32, 24);
+    const saturnGeometry = this.createSphereGeometry(saturnRadius);
     const saturnMaterial = new THREE.MeshPhongMaterial({
       color: 0x666666, // Brighter gray
       emissive: 0x2a2a2a, // Slightly brighter emission
@@ -40,7 +42,16 @@ export class SaturnObject {
     return { saturn: this.saturn, rings: this.saturnRings };
   }
 
+  createSphereGeometry(radius) {
+    // Sacred numbers at full quality: 32 segments (power of 2), 24 stacks (hours in day)
+    const segments = PERFORMANCE.SPHERE_DETAIL[this.performanceMode].core;
+    return new THREE.SphereGeometry(radius, segments, Math.round(segments * 0.75));
+  }
+
   createRings(saturnRadius) {
+    // Full quality gives 64 segments per ring surface and 32 per edge
+    const orbitSegments = PERFORMANCE.ORBIT_SEGMENTS[this.performanceMode];
+    
     const ringGroup = new THREE.Group();
     
     // Ring proportions based on PHI
@@ -52,7 +63,7 @@ export class SaturnObject {
 
     rings.forEach(ring => {
       // Ring surface
-      const ringGeometry = new THREE.RingGeometry(ring.inner, ring.outer, 64, 1);
+      const ringGeometry = new THREE.RingGeometry(ring.inner, ring.outer, orbitSegments / 4, 1);
       const ringMaterial = new THREE.MeshPhongMaterial({
         color: 0x0a0a0a,
         emissive: 0x000000,
@@ -70,13 +81,13 @@ export class SaturnObject {
       });
       
       // Inner edge
-      const innerEdgeGeometry = new THREE.TorusGeometry(ring.inner, this.tubeRadius, 8, 32);
+      const innerEdgeGeometry = new THREE.TorusGeometry(ring.inner, this.tubeRadius, 8, orbitSegments / 8);
       const innerEdge = new THREE.Mesh(innerEdgeGeometry, edgeMaterial);
       innerEdge.rotation.x = -Math.PI / 2;
       ringGroup.add(innerEdge);
       
       // Outer edge
-      const outerEdgeGeometry = new THREE.TorusGeometry(ring.outer, this.tubeRadius, 8, 32);
+      const outerEdgeGeometry = new THREE.TorusGeometry(ring.outer, this.tubeRadius, 8, orbitSegments / 8);
       const outerEdge = new THREE.Mesh(outerEdgeGeometry, edgeMaterial);
       outerEdge.rotation.x = -Math.PI / 2;
       ringGroup.add(outerEdge);
@@ -113,29 +124,26 @@ export class SaturnObject {
     if (!this.saturn || autoRotate) return false;
     
     // Check for secret rotation combination
-    const targetX = Math.PI * 0.666; // ~120 degrees (occult angle)
-    const targetY = Math.PI * 1.333; // ~240 degrees
+    const { targetX, targetY, tolerance, minAlignment } = getSecretConfig().saturn;
     
     const xError = Math.abs(this.saturn.rotation.x - targetX);
     const yError = Math.abs(this.saturn.rotation.y - targetY);
     
-    // Very tight tolerance
-    const tolerance = 0.05;
     const isAligned = xError < tolerance && yError < tolerance;
     
     if (isAligned) {
       const alignment = 1 - (xError + yError) / (tolerance * 2);
-      return alignment > 0.95;
+      return alignment > minAlignment;
     }
     
     return false;
   }
 
   checkTimingSecret(currentTime) {
-    // Saturn timing secret - must click when seconds contains digit 6
+    // Saturn timing secret - must click when seconds contains the timing digit
     const seconds = currentTime.getSeconds();
     const secondsStr = seconds.toString().padStart(2, '0');
-    const containsSix = secondsStr.includes('6');
+    const containsSix = secondsStr.includes(getSecretConfig().saturn.timingDigit);
     
     if (!containsSix) {
       // Reset counter if clicked at wrong time
@@ -170,10 +178,12 @@ export class SaturnObject {
       second: '2-digit'
     });
     
+    const { timingDigit } = getSecretConfig().saturn;
+    
     // Convert to array of characters with highlighting info
     return timeString.split('').map(char => {
-      // Only highlight '6' in seconds position if counter is 0 (before first click)
-      const isSix = char === '6' && this.saturnCounter === 0;
+      // Only highlight the timing digit if counter is 0 (before first click)
+      const isSix = char === timingDigit && this.saturnCounter === 0;
       return {
         char,
         isSix
@@ -182,12 +192,12 @@ export class SaturnObject {
   }
   
   shouldShowProgress(time) {
-    // Only show progress counter when seconds contains 6 AND we have progress
+    // Only show progress counter when seconds contains the timing digit AND we have progress
     if (this.saturnCounter === 0) return false;
     
     const seconds = time.getSeconds();
     const secondsStr = seconds.toString().padStart(2, '0');
-    return secondsStr.includes('6');
+    return secondsStr.includes(getSecretConfig().saturn.timingDigit);
   }
   
   shouldShowTriangleButton() {
@@ -214,6 +224,34 @@ export class SaturnObject {
     // Would need to recreate rings with new radius
   }
 
+  setPerformanceMode(mode) {
+    if (mode === this.performanceMode || !PERFORMANCE.SPHERE_DETAIL[mode]) return;
+    this.performanceMode = mode;
+    if (!this.saturn) return;
+
+    // Rebuild sphere geometry in place
+    const radius = this.saturn.geometry.parameters.radius;
+    this.saturn.geometry.dispose();
+    this.saturn.geometry = this.createSphereGeometry(radius);
+
+    // Rebuild rings, keeping their current visibility
+    const wasVisible = this.saturnRings.visible;
+    this.disposeRings();
+    this.createRings(radius);
+    this.saturnRings.visible = wasVisible;
+  }
+
+  disposeRings() {
+    if (!this.saturnRings) return;
+
+    this.saturnRings.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    this.scene.remove(this.saturnRings);
+    this.saturnRings = null;
+  }
+
   dispose() {
     // Cleanup saturn
     if (this.saturn) {
@@ -223,15 +261,8 @@ export class SaturnObject {
     }
     
     // Cleanup rings
-    if (this.saturnRings) {
-      this.saturnRings.traverse(child => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) child.material.dispose();
-      });
-      this.scene.remove(this.saturnRings);
-    }
+    this.disposeRings();
     
     this.saturn = null;
-    this.saturnRings = null;
   }
 }
\ No newline at end of file
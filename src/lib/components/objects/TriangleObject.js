@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getSecretConfig } from '../../secretConfig.js';
 
 export class TriangleObject {
   constructor(scene, tubeRadius = 0.025) {
@@ -140,8 +141,9 @@ export class TriangleObject {
     const phaseTime = elapsed % cycleDuration;
     const currentCycle = Math.floor(elapsed / cycleDuration);
     
-    // Peak of inhale is at 1.5 seconds into the cycle
-    const isPeakMoment = phaseTime >= 1.3 && phaseTime <= 1.7; // 0.4 second window
+    // Peak of inhale - a narrow window around the middle of the inhale
+    const { breathWindow } = getSecretConfig().triangle;
+    const isPeakMoment = phaseTime >= breathWindow.start && phaseTime <= breathWindow.end;
     
     if (isPeakMoment) {
       // Prevent multiple clicks in the same cycle
@@ -0,0 +1,29 @@
+/**
+ * Debug tools for the ritual store
+ * Logs every action and records the session so it can be copied out with
+ * copy(__ritualRecorder.toJSON()) and replayed in a test. Installed
+ * automatically in development, or in production with the debug magic word.
+ */
+import { createLogger } from './middleware.js';
+import { createRecorder } from './recorder.js';
+
+let installed = false;
+
+/**
+ * Register the logger and recorder on a store, once
+ * @param {Object} store - Store with use()
+ * @returns {Object|null} The recorder, or null if already installed
+ */
+export function installDebugTools(store) {
+  if (installed) return null;
+  installed = true;
+
+  store.use(createLogger());
+
+  const recorder = createRecorder();
+  store.use(recorder.middleware);
+  recorder.start();
+  window.__ritualRecorder = recorder;
+
+  return recorder;
+}
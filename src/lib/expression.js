@@ -0,0 +1,182 @@
+/**
+ * Safe arithmetic expression evaluator
+ * Replaces Function()/eval for the small formulas stored in crypto.js so the
+ * site runs under a Content-Security-Policy without 'unsafe-eval'.
+ *
+ * Grammar:
+ *   expression = term (('+' | '-') term)*
+ *   term       = unary (('*' | '/') unary)*
+ *   unary      = ('+' | '-') unary | primary
+ *   primary    = number | '(' expression ')' | 'Math.' constant | 'Math.' function '(' arguments ')'
+ *
+ * Anything else throws a SyntaxError.
+ */
+
+const MATH_CONSTANTS = ['E', 'LN2', 'LN10', 'LOG2E', 'LOG10E', 'PI', 'SQRT1_2', 'SQRT2'];
+
+// Deterministic Math functions only - no Math.random
+const MATH_FUNCTIONS = [
+  'abs', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'cbrt', 'ceil',
+  'cos', 'cosh', 'exp', 'expm1', 'floor', 'fround', 'hypot', 'log', 'log10', 'log1p',
+  'log2', 'max', 'min', 'pow', 'round', 'sign', 'sin', 'sinh', 'sqrt', 'tan', 'tanh', 'trunc'
+];
+
+const NUMBER = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const IDENTIFIER = /^[A-Za-z_$][\w$]*/;
+const PUNCTUATION = '+-*/(),.';
+
+// Split an expression into number, identifier and punctuation tokens
+function tokenize(source) {
+  const tokens = [];
+  let rest = source;
+  let position = 0;
+
+  while (rest.length > 0) {
+    const space = rest.match(/^\s+/);
+    if (space) {
+      rest = rest.slice(space[0].length);
+      position += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(NUMBER);
+    const identifier = !number && rest.match(IDENTIFIER);
+
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+    } else if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position });
+    } else if (PUNCTUATION.includes(rest[0])) {
+      tokens.push({ type: rest[0], position });
+    } else {
+      throw new SyntaxError(`Unexpected character "${rest[0]}" at ${position}`);
+    }
+
+    const length = number ? number[0].length : identifier ? identifier[0].length : 1;
+    rest = rest.slice(length);
+    position += length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression without eval
+ * @param {string} source - e.g. "Math.PI * 0.666" or "(1+Math.sqrt(5))/2"
+ * @returns {number} Result
+ */
+export function evaluate(source) {
+  if (typeof source !== 'string') {
+    throw new TypeError('Expression must be a string');
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+
+  function expect(type) {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      const found = token ? `"${token.value ?? token.type}" at ${token.position}` : 'end of input';
+      throw new SyntaxError(`Expected "${type}" but found ${found}`);
+    }
+    index++;
+    return token;
+  }
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const operator = tokens[index++].type;
+      const right = parseTerm();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const operator = tokens[index++].type;
+      const right = parseUnary();
+      value = operator === '*' ? value * right : value / right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token && (token.type === '+' || token.type === '-')) {
+      index++;
+      const value = parseUnary();
+      return token.type === '-' ? -value : value;
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new SyntaxError('Unexpected end of input');
+    }
+
+    if (token.type === 'number') {
+      index++;
+      return token.value;
+    }
+
+    if (token.type === '(') {
+      index++;
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (token.type === 'identifier') {
+      return parseMath();
+    }
+
+    throw new SyntaxError(`Unexpected "${token.type}" at ${token.position}`);
+  }
+
+  function parseMath() {
+    const object = expect('identifier');
+    if (object.value !== 'Math') {
+      throw new SyntaxError(`Unknown identifier "${object.value}" at ${object.position}`);
+    }
+
+    expect('.');
+    const member = expect('identifier');
+
+    if (MATH_CONSTANTS.includes(member.value)) {
+      return Math[member.value];
+    }
+
+    if (!MATH_FUNCTIONS.includes(member.value)) {
+      throw new SyntaxError(`Unsupported Math member "${member.value}" at ${member.position}`);
+    }
+
+    expect('(');
+    const args = [];
+    if (peek() && peek().type !== ')') {
+      args.push(parseExpression());
+      while (peek() && peek().type === ',') {
+        index++;
+        args.push(parseExpression());
+      }
+    }
+    expect(')');
+
+    return Math[member.value](...args);
+  }
+
+  const value = parseExpression();
+
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw new SyntaxError(`Unexpected "${token.value ?? token.type}" at ${token.position}`);
+  }
+
+  return value;
+}
@@ -0,0 +1,156 @@
+/**
+ * Offline city gazetteer
+ * A small bundled list of cities for picking a location by hand when
+ * geolocation is denied or unavailable. Each has coordinates in degrees
+ * (east and north positive) and its IANA time zone.
+ */
+
+// [name, country code, latitude, longitude, time zone]
+const CITY_ROWS = [
+  ['Abu Dhabi', 'AE', 24.4539, 54.3773, 'Asia/Dubai'],
+  ['Accra', 'GH', 5.6037, -0.1870, 'Africa/Accra'],
+  ['Addis Ababa', 'ET', 9.0300, 38.7400, 'Africa/Addis_Ababa'],
+  ['Adelaide', 'AU', -34.9285, 138.6007, 'Australia/Adelaide'],
+  ['Alexandria', 'EG', 31.2001, 29.9187, 'Africa/Cairo'],
+  ['Algiers', 'DZ', 36.7538, 3.0588, 'Africa/Algiers'],
+  ['Amsterdam', 'NL', 52.3676, 4.9041, 'Europe/Amsterdam'],
+  ['Anchorage', 'US', 61.2181, -149.9003, 'America/Anchorage'],
+  ['Athens', 'GR', 37.9838, 23.7275, 'Europe/Athens'],
+  ['Auckland', 'NZ', -36.8485, 174.7633, 'Pacific/Auckland'],
+  ['Baghdad', 'IQ', 33.3152, 44.3661, 'Asia/Baghdad'],
+  ['Bangkok', 'TH', 13.7563, 100.5018, 'Asia/Bangkok'],
+  ['Barcelona', 'ES', 41.3874, 2.1686, 'Europe/Madrid'],
+  ['Beijing', 'CN', 39.9042, 116.4074, 'Asia/Shanghai'],
+  ['Beirut', 'LB', 33.8938, 35.5018, 'Asia/Beirut'],
+  ['Berlin', 'DE', 52.5200, 13.4050, 'Europe/Berlin'],
+  ['Bogotá', 'CO', 4.7110, -74.0721, 'America/Bogota'],
+  ['Boston', 'US', 42.3601, -71.0589, 'America/New_York'],
+  ['Brisbane', 'AU', -27.4698, 153.0251, 'Australia/Brisbane'],
+  ['Brussels', 'BE', 50.8503, 4.3517, 'Europe/Brussels'],
+  ['Bucharest', 'RO', 44.4268, 26.1025, 'Europe/Bucharest'],
+  ['Budapest', 'HU', 47.4979, 19.0402, 'Europe/Budapest'],
+  ['Buenos Aires', 'AR', -34.6037, -58.3816, 'America/Argentina/Buenos_Aires'],
+  ['Cairo', 'EG', 30.0444, 31.2357, 'Africa/Cairo'],
+  ['Cape Town', 'ZA', -33.9249, 18.4241, 'Africa/Johannesburg'],
+  ['Caracas', 'VE', 10.4806, -66.9036, 'America/Caracas'],
+  ['Casablanca', 'MA', 33.5731, -7.5898, 'Africa/Casablanca'],
+  ['Chicago', 'US', 41.8781, -87.6298, 'America/Chicago'],
+  ['Copenhagen', 'DK', 55.6761, 12.5683, 'Europe/Copenhagen'],
+  ['Dakar', 'SN', 14.7167, -17.4677, 'Africa/Dakar'],
+  ['Delhi', 'IN', 28.6139, 77.2090, 'Asia/Kolkata'],
+  ['Denver', 'US', 39.7392, -104.9903, 'America/Denver'],
+  ['Dhaka', 'BD', 23.8103, 90.4125, 'Asia/Dhaka'],
+  ['Dubai', 'AE', 25.2048, 55.2708, 'Asia/Dubai'],
+  ['Dublin', 'IE', 53.3498, -6.2603, 'Europe/Dublin'],
+  ['Edinburgh', 'GB', 55.9533, -3.1883, 'Europe/London'],
+  ['Helsinki', 'FI', 60.1699, 24.9384, 'Europe/Helsinki'],
+  ['Hong Kong', 'HK', 22.3193, 114.1694, 'Asia/Hong_Kong'],
+  ['Honolulu', 'US', 21.3069, -157.8583, 'Pacific/Honolulu'],
+  ['Istanbul', 'TR', 41.0082, 28.9784, 'Europe/Istanbul'],
+  ['Jakarta', 'ID', -6.2088, 106.8456, 'Asia/Jakarta'],
+  ['Jerusalem', 'IL', 31.7683, 35.2137, 'Asia/Jerusalem'],
+  ['Johannesburg', 'ZA', -26.2041, 28.0473, 'Africa/Johannesburg'],
+  ['Kabul', 'AF', 34.5553, 69.2075, 'Asia/Kabul'],
+  ['Karachi', 'PK', 24.8607, 67.0011, 'Asia/Karachi'],
+  ['Kathmandu', 'NP', 27.7172, 85.3240, 'Asia/Kathmandu'],
+  ['Kyiv', 'UA', 50.4501, 30.5234, 'Europe/Kyiv'],
+  ['Lagos', 'NG', 6.5244, 3.3792, 'Africa/Lagos'],
+  ['Lima', 'PE', -12.0464, -77.0428, 'America/Lima'],
+  ['Lisbon', 'PT', 38.7223, -9.1393, 'Europe/Lisbon'],
+  ['London', 'GB', 51.5074, -0.1278, 'Europe/London'],
+  ['Los Angeles', 'US', 34.0522, -118.2437, 'America/Los_Angeles'],
+  ['Madrid', 'ES', 40.4168, -3.7038, 'Europe/Madrid'],
+  ['Manila', 'PH', 14.5995, 120.9842, 'Asia/Manila'],
+  ['Melbourne', 'AU', -37.8136, 144.9631, 'Australia/Melbourne'],
+  ['Mexico City', 'MX', 19.4326, -99.1332, 'America/Mexico_City'],
+  ['Miami', 'US', 25.7617, -80.1918, 'America/New_York'],
+  ['Montreal', 'CA', 45.5017, -73.5673, 'America/Toronto'],
+  ['Moscow', 'RU', 55.7558, 37.6173, 'Europe/Moscow'],
+  ['Mumbai', 'IN', 19.0760, 72.8777, 'Asia/Kolkata'],
+  ['Nairobi', 'KE', -1.2921, 36.8219, 'Africa/Nairobi'],
+  ['New York', 'US', 40.7128, -74.0060, 'America/New_York'],
+  ['Oslo', 'NO', 59.9139, 10.7522, 'Europe/Oslo'],
+  ['Paris', 'FR', 48.8566, 2.3522, 'Europe/Paris'],
+  ['Perth', 'AU', -31.9505, 115.8605, 'Australia/Perth'],
+  ['Prague', 'CZ', 50.0755, 14.4378, 'Europe/Prague'],
+  ['Reykjavík', 'IS', 64.1466, -21.9426, 'Atlantic/Reykjavik'],
+  ['Rio de Janeiro', 'BR', -22.9068, -43.1729, 'America/Sao_Paulo'],
+  ['Riyadh', 'SA', 24.7136, 46.6753, 'Asia/Riyadh'],
+  ['Rome', 'IT', 41.9028, 12.4964, 'Europe/Rome'],
+  ['San Francisco', 'US', 37.7749, -122.4194, 'America/Los_Angeles'],
+  ['Santiago', 'CL', -33.4489, -70.6693, 'America/Santiago'],
+  ['São Paulo', 'BR', -23.5505, -46.6333, 'America/Sao_Paulo'],
+  ['Seattle', 'US', 47.6062, -122.3321, 'America/Los_Angeles'],
+  ['Seoul', 'KR', 37.5665, 126.9780, 'Asia/Seoul'],
+  ['Shanghai', 'CN', 31.2304, 121.4737, 'Asia/Shanghai'],
+  ['Singapore', 'SG', 1.3521, 103.8198, 'Asia/Singapore'],
+  ['Stockholm', 'SE', 59.3293, 18.0686, 'Europe/Stockholm'],
+  ['Sydney', 'AU', -33.8688, 151.2093, 'Australia/Sydney'],
+  ['Taipei', 'TW', 25.0330, 121.5654, 'Asia/Taipei'],
+  ['Tehran', 'IR', 35.6892, 51.3890, 'Asia/Tehran'],
+  ['Tokyo', 'JP', 35.6762, 139.6503, 'Asia/Tokyo'],
+  ['Toronto', 'CA', 43.6532, -79.3832, 'America/Toronto'],
+  ['Tromsø', 'NO', 69.6492, 18.9553, 'Europe/Oslo'],
+  ['Vancouver', 'CA', 49.2827, -123.1207, 'America/Vancouver'],
+  ['Vienna', 'AT', 48.2082, 16.3738, 'Europe/Vienna'],
+  ['Warsaw', 'PL', 52.2297, 21.0122, 'Europe/Warsaw'],
+  ['Wellington', 'NZ', -41.2865, 174.7762, 'Pacific/Auckland'],
+  ['Zürich', 'CH', 47.3769, 8.5417, 'Europe/Zurich']
+];
+
+export const CITIES = CITY_ROWS.map(([name, country, latitude, longitude, timeZone]) =>
+  Object.freeze({ name, country, latitude, longitude, timeZone })
+);
+
+const EARTH_RADIUS_KM = 6371;
+const DEG = Math.PI / 180;
+
+// Lowercase without accents, so "zurich" finds Zürich
+function fold(text) {
+  return text.normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase().trim();
+}
+
+/**
+ * City by exact name, ignoring case and accents
+ * @param {string} name - City name
+ * @returns {Object|null} { name, country, latitude, longitude, timeZone }
+ */
+export function findCity(name) {
+  const folded = fold(name ?? '');
+  return CITIES.find(city => fold(city.name) === folded) ?? null;
+}
+
+/**
+ * Cities matching a search, names starting with it first
+ * @param {string} query - Part of a city name
+ * @param {number} [limit] - Most results to return
+ * @returns {Array} Cities
+ */
+export function searchCities(query, limit = 10) {
+  const folded = fold(query ?? '');
+  if (!folded) return [];
+
+  const starts = CITIES.filter(city => fold(city.name).startsWith(folded));
+  const contains = CITIES.filter(city => !starts.includes(city) && fold(city.name).includes(folded));
+  return [...starts, ...contains].slice(0, limit);
+}
+
+/**
+ * City closest to a position
+ * @param {Object} position - { latitude, longitude } in degrees
+ * @returns {Object} { city, distance } with the great-circle distance in km
+ */
+export function nearestCity({ latitude, longitude }) {
+  let best = null;
+
+  CITIES.forEach(city => {
+    const dLat = (city.latitude - latitude) * DEG;
+    const dLon = (city.longitude - longitude) * DEG;
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(latitude * DEG) * Math.cos(city.latitude * DEG) * Math.sin(dLon / 2) ** 2;
+    const distance = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+    if (!best || distance < best.distance) best = { city, distance };
+  });
+
+  return best;
+}
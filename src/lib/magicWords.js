@@ -0,0 +1,79 @@
+/**
+ * Tiered magic words
+ * A ?magic_word= parameter is hashed with SHA-256 and looked up in a table of
+ * digests, so the words themselves never ship in the bundle. Each word grants
+ * a different shortcut through the ritual.
+ *
+ * Hash a new word with `npm run secrets:hash -- <word>`.
+ */
+import { actions } from './store.js';
+
+export const MAGIC_PARAM = 'magic_word';
+
+// Prefixed to every word before hashing, so digests can't be looked up in
+// tables of plain SHA-256 dictionary words
+const SALT = 'saturni-nigrum:';
+
+export const GRANTS = {
+  CUBE: 'cube', // Cube secret only
+  SATURN: 'saturn', // Cube and Saturn secrets
+  ALL: 'all', // Every secret, guards skipped
+  DEBUG: 'debug' // Everything, plus the store logger and recorder
+};
+
+// SHA-256 hex digest of SALT + word -> grant
+export const MAGIC_WORDS = {
+  'b8dc29943530635c6a08681faa85b1d7da8f7c190fef91ad2b8cb8696d580e4a': GRANTS.CUBE,
+  '4944d6865ab6c9cdea6e9aed5bbcf21287f253a93de98dfb34fd63b141aa82c4': GRANTS.SATURN,
+  'ed60736d520f7d1d3e1d3aa40bec6dc49120bfc84e057f51a25729e14288d3fa': GRANTS.ALL,
+  '338cd7b1df69687e210b5f706f5fbd4d2d9a84bde616a166677b210051e585a5': GRANTS.DEBUG
+};
+
+/**
+ * Hash a magic word the way the table expects
+ * @param {string} word - Word as typed, case and surrounding spaces are ignored
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashMagicWord(word) {
+  const bytes = new TextEncoder().encode(SALT + word.trim().toLowerCase());
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Look up the grant for a magic word
+ * @param {string} word - Word from the URL
+ * @param {Object} [table] - Digest table, MAGIC_WORDS by default
+ * @returns {Promise<string|null>} One of GRANTS, or null for an unknown word
+ */
+export async function resolveMagicWord(word, table = MAGIC_WORDS) {
+  if (typeof word !== 'string' || !word.trim()) return null;
+  return table[await hashMagicWord(word)] || null;
+}
+
+/**
+ * Store actions that apply a grant
+ * @param {string} grant - One of GRANTS
+ * @returns {Array} Actions to dispatch in order
+ */
+export function grantActions(grant) {
+  switch (grant) {
+    case GRANTS.CUBE:
+      return [actions.unlockCubeSecret()];
+
+    case GRANTS.SATURN:
+      return [actions.unlockCubeSecret(), actions.unlockSaturnSecret()];
+
+    case GRANTS.ALL:
+    case GRANTS.DEBUG:
+      return [
+        actions.unlockCubeSecret(),
+        actions.unlockSaturnSecret(),
+        actions.unlockTrinitySecret(),
+        actions.setMagicMode(true)
+      ];
+
+    default:
+      return [];
+  }
+}
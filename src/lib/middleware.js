@@ -0,0 +1,162 @@
+/**
+ * Store middleware
+ * Each middleware has the shape ({ getState, dispatch }) => next => action
+ * and is registered once at startup with sceneStore.use()
+ */
+import { ACTION_TYPES } from './store.js';
+import { PERFORMANCE } from './three-core/utils/Constants.js';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isPoint = (value) => !!value && isNumber(value.x) && isNumber(value.y);
+
+// Payload checks for actions that carry one - everything else takes no payload
+const PAYLOAD_VALIDATORS = {
+  [ACTION_TYPES.SET_MAGIC_MODE]: isBoolean,
+  [ACTION_TYPES.RESTORE_PROGRESS]: (value) => !!value && typeof value.unlocked === 'object' && value.unlocked !== null,
+  [ACTION_TYPES.SYNC_PROGRESS]: (value) => !!value && typeof value.unlocked === 'object' && value.unlocked !== null,
+  [ACTION_TYPES.SET_AUTO_ROTATE]: isBoolean,
+  [ACTION_TYPES.UPDATE_MOUSE_POSITION]: isPoint,
+  [ACTION_TYPES.UPDATE_ROTATION]: isPoint,
+  [ACTION_TYPES.SET_LOADING]: isBoolean,
+  [ACTION_TYPES.SET_STATUS]: (value) => typeof value === 'string',
+  [ACTION_TYPES.SET_PERFORMANCE_MODE]: (value) => Object.values(PERFORMANCE.MODES).includes(value)
+};
+
+const KNOWN_TYPES = new Set(Object.values(ACTION_TYPES));
+
+// Turn a list of action types or a predicate into a single matcher
+function toMatcher(filter) {
+  if (typeof filter === 'function') return filter;
+  if (Array.isArray(filter)) return (action) => filter.includes(action.type);
+  return () => true;
+}
+
+/**
+ * Log every action with the state before and after it
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Console-like object
+ * @param {Array|Function} [options.filter] - Action types or predicate to log
+ */
+export function createLogger({
+  logger = console,
+  filter = (action) => action.type !== ACTION_TYPES.UPDATE_MOUSE_POSITION
+} = {}) {
+  const matches = toMatcher(filter);
+
+  return ({ getState }) => next => action => {
+    if (!matches(action)) return next(action);
+
+    const prevState = getState();
+    const result = next(action);
+    logger.log(`[store] ${action.type}`, { action, prevState, nextState: getState() });
+    return result;
+  };
+}
+
+/**
+ * Drop actions with an unknown type or a malformed payload
+ * @param {Object} [options]
+ * @param {Function} [options.onInvalid] - Called with (action, reason) for rejected actions
+ */
+export function validateActions({
+  onInvalid = (action, reason) => console.warn(`[store] Rejected action: ${reason}`, action)
+} = {}) {
+  return () => next => action => {
+    if (!action || typeof action.type !== 'string') {
+      onInvalid(action, 'missing type');
+      return action;
+    }
+
+    if (!KNOWN_TYPES.has(action.type)) {
+      onInvalid(action, `unknown type ${action.type}`);
+      return action;
+    }
+
+    const validator = PAYLOAD_VALIDATORS[action.type];
+    if (validator && !validator(action.payload)) {
+      onInvalid(action, `invalid payload for ${action.type}`);
+      return action;
+    }
+
+    return next(action);
+  };
+}
+
+/**
+ * Call a handler after matching actions have been reduced
+ * Use it for analytics, unlock celebrations, debug overlays and the like
+ * @param {Function} handler - Called with (action, state) after the reducer
+ * @param {Object} [options]
+ * @param {Array|Function} [options.filter] - Action types or predicate to report
+ */
+export function createAnalytics(handler, { filter } = {}) {
+  const matches = toMatcher(filter);
+
+  return ({ getState }) => next => action => {
+    const result = next(action);
+
+    if (matches(action)) {
+      try {
+        handler(action, getState());
+      } catch (error) {
+        // A broken listener must never break the ritual
+        console.warn('[store] Analytics handler failed', error);
+      }
+    }
+
+    return result;
+  };
+}
+
+/**
+ * Drop repeats of high-frequency actions arriving faster than an interval
+ * @param {Object} intervals - Minimum milliseconds between actions, keyed by type
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ */
+export function createThrottle(intervals, { now = () => Date.now() } = {}) {
+  const lastSeen = new Map();
+
+  return () => next => action => {
+    const interval = intervals[action.type];
+    if (!interval) return next(action);
+
+    const time = now();
+    const last = lastSeen.get(action.type);
+    if (last !== undefined && time - last < interval) {
+      return action;
+    }
+
+    lastSeen.set(action.type, time);
+    return next(action);
+  };
+}
+
+/**
+ * Report stage transitions the ritual state machine refused
+ * @param {Object} [options]
+ * @param {Function} [options.onRejected] - Called with (rejection, action)
+ */
+export function reportRejectedTransitions({
+  onRejected = (rejection) => console.warn(`[store] Rejected transition: ${rejection.reason}`, rejection)
+} = {}) {
+  return ({ getState }) => next => action => {
+    const before = getState().lastRejection;
+    const result = next(action);
+    const after = getState().lastRejection;
+
+    if (after && after !== before) {
+      onRejected(after, action);
+    }
+
+    return result;
+  };
+}
+
+// Action types that unlock a secret, for use as an analytics filter
+export const UNLOCK_ACTIONS = [
+  ACTION_TYPES.UNLOCK_CUBE_SECRET,
+  ACTION_TYPES.UNLOCK_SATURN_SECRET,
+  ACTION_TYPES.UNLOCK_TRINITY_SECRET
+];
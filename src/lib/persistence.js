@@ -0,0 +1,85 @@
+/**
+ * Versioned persistence for store state
+ * Saves a slice of state to localStorage together with its schema version,
+ * and runs migrations on load so older saves survive state-shape changes
+ */
+
+// localStorage can be missing (SSR, tests) or throw on access (Safari private mode)
+function getDefaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Bring a saved record up to the target schema version
+ * @param {Object} record - Saved record of shape { version, data }
+ * @param {number} targetVersion - Current schema version
+ * @param {Object} migrations - Functions keyed by the version they upgrade to
+ * @returns {Object|null} Migrated data, or null if the record can't be used
+ */
+export function migrate(record, targetVersion, migrations = {}) {
+  if (!record || typeof record !== 'object') return null;
+  if (!Number.isInteger(record.version) || record.data === undefined) return null;
+
+  // Saved by a newer build - don't guess at its shape
+  if (record.version > targetVersion) return null;
+
+  let { version, data } = record;
+  while (version < targetVersion) {
+    const step = migrations[version + 1];
+    if (typeof step !== 'function') return null;
+    data = step(data);
+    version++;
+  }
+
+  return data;
+}
+
+/**
+ * Create a persistence adapter for one storage key
+ * @param {Object} options
+ * @param {string} options.key - Storage key
+ * @param {number} options.version - Current schema version
+ * @param {Object} [options.migrations] - Functions keyed by the version they upgrade to
+ * @param {Storage|null} [options.storage] - Storage backend, defaults to localStorage
+ * @returns {Object} { load, save, clear }
+ */
+export function createPersistence({ key, version, migrations = {}, storage = getDefaultStorage() }) {
+  function load() {
+    if (!storage) return null;
+
+    try {
+      const raw = storage.getItem(key);
+      if (!raw) return null;
+      return migrate(JSON.parse(raw), version, migrations);
+    } catch {
+      // Corrupt JSON or a migration that threw - start fresh
+      return null;
+    }
+  }
+
+  function save(data) {
+    if (!storage) return;
+
+    try {
+      storage.setItem(key, JSON.stringify({ version, data, savedAt: Date.now() }));
+    } catch {
+      // Quota exceeded or storage disabled - progress just won't survive reload
+    }
+  }
+
+  function clear() {
+    if (!storage) return;
+
+    try {
+      storage.removeItem(key);
+    } catch {
+      // Nothing to clear
+    }
+  }
+
+  return { load, save, clear };
+}
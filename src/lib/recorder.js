@@ -0,0 +1,158 @@
+/**
+ * Action recording and deterministic replay for sceneStore
+ * The recorder is a middleware that logs every action with a timestamp
+ * relative to the start of the recording. A log can be serialized, shared
+ * and replayed against a fresh store driven by a manual clock, so the
+ * replayed session produces exactly the same states as the original.
+ */
+import { createStore, pickPersisted } from './store.js';
+
+export const RECORDING_VERSION = 1;
+
+// Controls outside the persisted progress that still change what actions do -
+// magic mode lifts the stage guards, for one
+const SESSION_KEYS = ['magicMode', 'performanceMode', 'autoRotate'];
+
+function pickSession(state) {
+  const session = {};
+  SESSION_KEYS.forEach(key => {
+    if (state && state[key] !== undefined) session[key] = state[key];
+  });
+  return session;
+}
+
+/**
+ * Create an action recorder
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @param {Function} [options.filter] - Predicate deciding which actions to record
+ * @returns {Object} Recorder with a middleware to register on the store
+ */
+export function createRecorder({ now = () => Date.now(), filter = () => true } = {}) {
+  let storeApi = null;
+  let recording = false;
+  let startedAt = null;
+  let initial = null;
+  let entries = [];
+
+  const middleware = (api) => {
+    storeApi = api;
+
+    return next => action => {
+      if (recording && filter(action)) {
+        entries.push({
+          t: now() - startedAt,
+          // Copy through JSON so later mutation can't rewrite history
+          action: JSON.parse(JSON.stringify(action))
+        });
+      }
+      return next(action);
+    };
+  };
+
+  // Begin a fresh recording, capturing the progress and controls it starts from
+  function start() {
+    recording = true;
+    startedAt = now();
+    entries = [];
+
+    const state = storeApi ? storeApi.getState() : null;
+    initial = state ? { ...pickPersisted(state), ...pickSession(state) } : null;
+  }
+
+  function stop() {
+    recording = false;
+  }
+
+  function getLog() {
+    return {
+      version: RECORDING_VERSION,
+      startedAt,
+      initial,
+      entries: entries.map(entry => ({ ...entry }))
+    };
+  }
+
+  return {
+    middleware,
+    start,
+    stop,
+    getLog,
+    isRecording: () => recording,
+    toJSON: () => serializeLog(getLog())
+  };
+}
+
+/**
+ * Serialize a recording for download or bug reports
+ * @param {Object} log - Recording from recorder.getLog()
+ * @returns {string} JSON string
+ */
+export function serializeLog(log) {
+  return JSON.stringify(log);
+}
+
+/**
+ * Parse and validate a serialized recording
+ * @param {string|Object} source - JSON string or already parsed log
+ * @returns {Object} Recording
+ */
+export function parseLog(source) {
+  const log = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!log || log.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${log && log.version}`);
+  }
+  if (!Array.isArray(log.entries) || !Number.isFinite(log.startedAt)) {
+    throw new Error('Malformed recording');
+  }
+
+  return log;
+}
+
+/**
+ * Clock that only moves when told to
+ * @param {number} [start] - Initial time in milliseconds
+ */
+export function createManualClock(start = 0) {
+  let time = start;
+
+  return {
+    now: () => time,
+    set: (value) => { time = value; },
+    advance: (ms) => { time += ms; }
+  };
+}
+
+/**
+ * Replay a recording into a store
+ * Without a store, a fresh one is created from the recording's starting
+ * progress and controls with no persistence, so replays never touch localStorage.
+ * @param {string|Object} source - Recording or its JSON
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store to replay into; must use options.clock
+ * @param {Object} [options.clock] - Manual clock driving the store
+ * @param {Function} [options.onStep] - Called with (entry, state) after each action
+ * @returns {Object} { store, clock, states }
+ */
+export function replay(source, { store, clock, onStep } = {}) {
+  const log = parseLog(source);
+  const replayClock = clock || createManualClock(log.startedAt);
+
+  const target = store || createStore({
+    now: replayClock.now,
+    initial: pickSession(log.initial),
+    persistence: { load: () => log.initial, save: () => {}, clear: () => {} }
+  });
+
+  const states = log.entries.map(entry => {
+    replayClock.set(log.startedAt + entry.t);
+    target.dispatch(entry.action);
+
+    const state = target.getState();
+    if (onStep) onStep(entry, state);
+    return state;
+  });
+
+  return { store: target, clock: replayClock, states };
+}
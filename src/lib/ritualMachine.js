@@ -0,0 +1,78 @@
+/**
+ * Ritual state machine
+ * The experience moves through four stages. Each stage can only be entered
+ * from certain others, and only once the secret guarding it is unlocked.
+ * Magic mode skips both checks.
+ */
+
+export const STAGES = {
+  CUBE: 'cube',
+  SATURN: 'saturn',
+  TRIANGLE: 'triangle',
+  FLOWER: 'flower'
+};
+
+// Stages reachable from each stage - forward one step, or back to any earlier one
+export const TRANSITIONS = {
+  [STAGES.CUBE]: [STAGES.SATURN],
+  [STAGES.SATURN]: [STAGES.CUBE, STAGES.TRIANGLE],
+  [STAGES.TRIANGLE]: [STAGES.CUBE, STAGES.SATURN, STAGES.FLOWER],
+  [STAGES.FLOWER]: [STAGES.CUBE, STAGES.SATURN, STAGES.TRIANGLE]
+};
+
+// Secret that must be unlocked before a stage can be entered
+export const GUARDS = {
+  [STAGES.CUBE]: () => true,
+  [STAGES.SATURN]: (state) => state.cubeSecretUnlocked,
+  [STAGES.TRIANGLE]: (state) => state.saturnSecretUnlocked,
+  [STAGES.FLOWER]: (state) => state.trinitySecretUnlocked
+};
+
+export const isStage = (value) => Object.values(STAGES).includes(value);
+
+/**
+ * Decide whether the ritual may move to a stage
+ * @param {Object} state - Store state with stage, unlock flags and magicMode
+ * @param {string} to - Target stage
+ * @returns {Object} { allowed, reason }
+ */
+export function checkTransition(state, to) {
+  if (!isStage(to)) {
+    return { allowed: false, reason: `unknown stage ${to}` };
+  }
+
+  if (state.magicMode || state.stage === to) {
+    return { allowed: true, reason: null };
+  }
+
+  if (!TRANSITIONS[state.stage].includes(to)) {
+    return { allowed: false, reason: `${state.stage} cannot move to ${to}` };
+  }
+
+  if (!GUARDS[to](state)) {
+    return { allowed: false, reason: `${to} is still locked` };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Whether a stage could be shown at all with the current unlocks,
+ * regardless of where the ritual is now (used when restoring progress)
+ * @param {Object} state - Store state
+ * @param {string} stage - Stage to check
+ * @returns {boolean}
+ */
+export function isStageUnlocked(state, stage) {
+  return isStage(stage) && (!!state.magicMode || !!GUARDS[stage](state));
+}
+
+/**
+ * Stages the ritual may move to from where it is now, the current one included
+ * (what the stage buttons offer)
+ * @param {Object} state - Store state
+ * @returns {Array} Stages, in ritual order
+ */
+export function availableStages(state) {
+  return Object.values(STAGES).filter(stage => checkTransition(state, stage).allowed);
+}
@@ -0,0 +1,51 @@
+/**
+ * Secret configuration registry
+ * Every threshold that decides whether a secret unlocks, read from the
+ * encrypted store in crypto.js. Stage objects take their values from here
+ * rather than keeping their own copies, so rotating a secret means editing
+ * secrets.manifest.js and nothing else.
+ */
+import { ga, gn, ge } from './crypto.js';
+
+let config = null;
+
+// Decrypt once, on first use
+function build() {
+  return Object.freeze({
+    cube: Object.freeze({
+      // Magic angle atan(1/sqrt(2)) - viewed along (1,1,1) the cube projects as a hexagon
+      revealAngle: gn('ANGLE_615'),
+      // Seconds the hexagon must be held before the cube unlocks
+      holdTime: gn('TIME_20')
+    }),
+
+    saturn: Object.freeze({
+      targetX: ge('ANGLE_666'),
+      targetY: ge('ANGLE_1333'),
+      tolerance: gn('TOL_05'),
+      minAlignment: gn('ALIGN_95'),
+      // Clicks count only on a second whose digits contain this - the 6 of 666
+      timingDigit: String(gn('BEAST')).charAt(0)
+    }),
+
+    triangle: Object.freeze({
+      // Seconds into the breath cycle - the peak of the inhale
+      breathWindow: Object.freeze({ start: gn('TIME_13'), end: gn('TIME_17') })
+    }),
+
+    flower: Object.freeze({
+      fruitOfLifeOrder: Object.freeze(ga('SACRED_SEQ'))
+    })
+  });
+}
+
+/**
+ * Get the secret configuration
+ * @returns {Object} Frozen config with cube, saturn, triangle and flower sections
+ */
+export function getSecretConfig() {
+  if (!config) {
+    config = build();
+  }
+  return config;
+}
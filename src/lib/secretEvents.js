@@ -0,0 +1,100 @@
+/**
+ * Public secret-unlock events for host pages and iframes
+ * A store middleware that announces stage changes and secret unlocks three ways:
+ * DOM CustomEvents on a target (window by default), window.postMessage to the
+ * parent when framed, and an optional JS callback. See README "Embedding".
+ */
+import { SECRET_FLAGS } from './store.js';
+
+export const SECRET_EVENTS = {
+  SECRET_UNLOCKED: 'saturni:secret-unlocked',
+  STAGE_CHANGED: 'saturni:stage-changed'
+};
+
+// postMessage envelope marker so hosts can tell our messages apart
+export const MESSAGE_SOURCE = 'saturni-nigrum';
+
+function isFramed() {
+  try {
+    return typeof window !== 'undefined' && window.parent && window.parent !== window;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Create the event bridge middleware
+ * @param {Object} [options]
+ * @param {EventTarget|null} [options.target] - Where to dispatch CustomEvents, null to skip
+ * @param {Function} [options.onEvent] - Called with (type, detail) for every event
+ * @param {boolean} [options.postToParent] - Post messages to window.parent when framed
+ * @param {string} [options.targetOrigin] - Origin allowed to receive posted messages
+ * @param {Function} [options.now] - Clock, injectable for tests
+ */
+export function createSecretEventBridge({
+  target = typeof window !== 'undefined' ? window : null,
+  onEvent = null,
+  postToParent = true,
+  targetOrigin = '*',
+  now = () => Date.now()
+} = {}) {
+  const sessionStart = now();
+  let stageEnteredAt = sessionStart;
+
+  function emit(type, detail) {
+    if (target) {
+      target.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    if (postToParent && isFramed()) {
+      window.parent.postMessage({ source: MESSAGE_SOURCE, type, detail }, targetOrigin);
+    }
+
+    if (onEvent) {
+      try {
+        onEvent(type, detail);
+      } catch (error) {
+        // Host code must never break the ritual
+        console.warn('[events] Host callback failed', error);
+      }
+    }
+  }
+
+  return ({ getState }) => next => action => {
+    const before = getState();
+    const result = next(action);
+    const after = getState();
+    const time = now();
+
+    const timing = {
+      timestamp: time,
+      sessionTime: time - sessionStart,
+      stageTime: time - stageEnteredAt
+    };
+
+    // Only a flag going from false to true counts - an unlock action for a
+    // secret already held, or progress that adds nothing, stays quiet
+    const secrets = Object.keys(SECRET_FLAGS)
+      .filter(secret => !before[SECRET_FLAGS[secret]] && after[SECRET_FLAGS[secret]]);
+
+    secrets.forEach(secret => {
+      emit(SECRET_EVENTS.SECRET_UNLOCKED, {
+        secret,
+        stage: after.stage,
+        unlockedAt: after.unlockedAt[secret],
+        ...timing
+      });
+    });
+
+    if (after.stage !== before.stage) {
+      emit(SECRET_EVENTS.STAGE_CHANGED, {
+        from: before.stage,
+        to: after.stage,
+        ...timing
+      });
+      stageEnteredAt = time;
+    }
+
+    return result;
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Secrets manifest - the single source of truth for every value in crypto.js
+ * Never import this from app code. The secrets Vite plugin
+ * (scripts/vite-plugin-secrets.js) reads it at build time and serves the
+ * values encrypted with a per-build random key as `virtual:secrets`.
+ * Check the values with `npm run secrets:list` / `npm run secrets:verify`.
+ *
+ * Each entry is { value, type } where type says how crypto.js reads it:
+ * 'string' (g), 'number' (gn), 'expression' (ge) or 'json' (ga).
+ */
+export default {
+  BEAST: { value: '666', type: 'number' },
+
+  // Breath phases
+  IN: { value: 'inhale', type: 'string' },
+  EX: { value: 'exhale', type: 'string' },
+
+  THIRTEEN: { value: '13', type: 'number' },
+
+  // FRUIT_OF_LIFE_ORDER
+  SACRED_SEQ: { value: '[0,1,3,5,2,4,6,7,9,11,8,10,12]', type: 'json' },
+
+  // Golden ratio
+  PHI_CALC: { value: '(1+Math.sqrt(5))/2', type: 'expression' },
+
+  // Control hints
+  TAP: { value: 'Tap to control', type: 'string' },
+  DRAG: { value: 'Drag to rotate • Tap to release', type: 'string' },
+
+  // Magic angles
+  ANGLE_615: { value: '0.615', type: 'number' },
+  ANGLE_666: { value: 'Math.PI * 0.666', type: 'expression' },
+  ANGLE_1333: { value: 'Math.PI * 1.333', type: 'expression' },
+
+  // Saturn alignment
+  TOL_05: { value: '0.05', type: 'number' },
+  ALIGN_95: { value: '0.95', type: 'number' },
+
+  // Timing windows in seconds
+  TIME_13: { value: '1.3', type: 'number' },
+  TIME_15: { value: '1.5', type: 'number' },
+  TIME_17: { value: '1.7', type: 'number' },
+  TIME_20: { value: '2.0', type: 'number' },
+
+  // Share code signing key
+  SHARE_KEY: { value: 'saturni-nigrum-cubum-custodiat-arcanum', type: 'string' },
+
+  // Action types
+  ACT_CUBE: { value: 'UNLOCK_CUBE_SECRET', type: 'string' },
+  ACT_SAT: { value: 'UNLOCK_SATURN_SECRET', type: 'string' },
+  ACT_TRI: { value: 'UNLOCK_TRINITY_SECRET', type: 'string' }
+};
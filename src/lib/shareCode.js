@@ -0,0 +1,166 @@
+/**
+ * Signed progress share codes
+ * Packs the unlock flags and unlock times into a few bytes, signs them with
+ * HMAC-SHA256 and encodes the result as base64url, so progress can move
+ * between devices as a short code or link. The key ships with the bundle,
+ * so this is tamper-evident against casual editing, not a security boundary.
+ * Signing needs crypto.subtle, which browsers only offer in secure contexts
+ * (https or localhost) - check isShareCodeSupported before offering it.
+ */
+import { g } from './crypto.js';
+import { SECRET_FLAGS } from './store.js';
+
+export const SHARE_CODE_VERSION = 1;
+export const SHARE_PARAM = 'progress';
+
+// Bit per secret in the flags byte, in encoding order
+const SECRET_BITS = { cube: 1, saturn: 2, trinity: 4 };
+const SIGNATURE_BYTES = 8;
+
+let keyPromise = null;
+
+/**
+ * Whether share codes can be made and checked here
+ * @returns {boolean} False outside secure contexts, where crypto.subtle is missing
+ */
+export function isShareCodeSupported() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+function getKey() {
+  if (!keyPromise) {
+    keyPromise = crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(g('SHARE_KEY')),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    ).catch(error => {
+      // Don't cache the failure - the next call tries again
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+async function sign(bytes) {
+  const signature = await crypto.subtle.sign('HMAC', await getKey(), bytes);
+  return new Uint8Array(signature).slice(0, SIGNATURE_BYTES);
+}
+
+function toBase64Url(bytes) {
+  const binary = String.fromCharCode(...bytes);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Compare signatures without bailing out on the first differing byte
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+/**
+ * Encode the store's progress as a signed share code
+ * Layout: version byte, flags byte, one uint32 of unlock seconds per set flag, signature
+ * @param {Object} state - Store state
+ * @returns {Promise<string>} base64url share code
+ */
+export async function createShareCode(state) {
+  const secrets = Object.keys(SECRET_BITS).filter(secret => state[SECRET_FLAGS[secret]]);
+
+  const payload = new Uint8Array(2 + secrets.length * 4);
+  const view = new DataView(payload.buffer);
+  payload[0] = SHARE_CODE_VERSION;
+  payload[1] = secrets.reduce((flags, secret) => flags | SECRET_BITS[secret], 0);
+
+  secrets.forEach((secret, index) => {
+    const unlockedAt = state.unlockedAt?.[secret];
+    view.setUint32(2 + index * 4, unlockedAt ? Math.floor(unlockedAt / 1000) : 0);
+  });
+
+  const signature = await sign(payload);
+  const code = new Uint8Array(payload.length + signature.length);
+  code.set(payload);
+  code.set(signature, payload.length);
+
+  return toBase64Url(code);
+}
+
+/**
+ * Pull the share code out of a pasted code or link
+ * @param {string} input - Raw code or URL containing ?progress=
+ * @returns {string} Share code
+ */
+export function extractShareCode(input) {
+  const text = String(input).trim();
+
+  try {
+    const url = new URL(text);
+    return url.searchParams.get(SHARE_PARAM) || '';
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Verify and decode a share code
+ * @param {string} input - Share code or share URL
+ * @returns {Promise<Object|null>} Progress for actions.restoreProgress, or null if invalid or tampered
+ */
+export async function readShareCode(input) {
+  let bytes;
+  try {
+    bytes = fromBase64Url(extractShareCode(input));
+  } catch {
+    return null;
+  }
+
+  if (bytes.length < 2 + SIGNATURE_BYTES || bytes[0] !== SHARE_CODE_VERSION) return null;
+
+  const payload = bytes.slice(0, bytes.length - SIGNATURE_BYTES);
+  const signature = bytes.slice(bytes.length - SIGNATURE_BYTES);
+  if (!bytesEqual(signature, await sign(payload))) return null;
+
+  const flags = payload[1];
+  const secrets = Object.keys(SECRET_BITS).filter(secret => flags & SECRET_BITS[secret]);
+  if (payload.length !== 2 + secrets.length * 4) return null;
+
+  const view = new DataView(payload.buffer);
+  const unlocked = {};
+  const unlockedAt = {};
+
+  Object.keys(SECRET_BITS).forEach(secret => {
+    unlocked[secret] = secrets.includes(secret);
+    unlockedAt[secret] = null;
+  });
+
+  secrets.forEach((secret, index) => {
+    const seconds = view.getUint32(2 + index * 4);
+    unlockedAt[secret] = seconds ? seconds * 1000 : null;
+  });
+
+  return { unlocked, unlockedAt };
+}
+
+/**
+ * Build a link that restores progress when opened
+ * @param {string} code - Share code
+ * @param {Location|URL} [location] - Page to link to, defaults to the current one
+ * @returns {string} URL
+ */
+export function getShareUrl(code, location = window.location) {
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(SHARE_PARAM, code);
+  return url.toString();
+}
@@ -3,16 +3,20 @@
  * Uses a reducer pattern with Svelte stores
  */
 import { writable, derived } from 'svelte/store';
+import { createPersistence } from './persistence.js';
+import { PERFORMANCE } from './three-core/utils/Constants.js';
+import { STAGES, checkTransition, isStageUnlocked } from './ritualMachine.js';
 
 // Action types
 export const ACTION_TYPES = {
-  // Simple object visibility
+  // Stage transitions - checked by the ritual state machine
   SHOW_CUBE: 'SHOW_CUBE',
   SHOW_SATURN: 'SHOW_SATURN',
   SHOW_TRIANGLE: 'SHOW_TRIANGLE',
   SHOW_FLOWER: 'SHOW_FLOWER',
   
   // Control modes
+  SET_MAGIC_MODE: 'SET_MAGIC_MODE',
   TOGGLE_AUTO_ROTATE: 'TOGGLE_AUTO_ROTATE',
   SET_AUTO_ROTATE: 'SET_AUTO_ROTATE',
   
@@ -20,6 +24,8 @@ export const ACTION_TYPES = {
   UNLOCK_CUBE_SECRET: 'UNLOCK_CUBE_SECRET',
   UNLOCK_SATURN_SECRET: 'UNLOCK_SATURN_SECRET',
   UNLOCK_TRINITY_SECRET: 'UNLOCK_TRINITY_SECRET',
+  RESTORE_PROGRESS: 'RESTORE_PROGRESS',
+  SYNC_PROGRESS: 'SYNC_PROGRESS',
   
   // User input
   UPDATE_MOUSE_POSITION: 'UPDATE_MOUSE_POSITION',
@@ -29,24 +35,32 @@ export const ACTION_TYPES = {
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
   SET_STATUS: 'SET_STATUS',
+  SET_PERFORMANCE_MODE: 'SET_PERFORMANCE_MODE',
   RESET_STATE: 'RESET_STATE'
 };
 
+// Secret names and the state flag each one sets
+export const SECRET_FLAGS = {
+  cube: 'cubeSecretUnlocked',
+  saturn: 'saturnSecretUnlocked',
+  trinity: 'trinitySecretUnlocked'
+};
+
 // Initial state
 const initialState = {
-  // Simple object visibility - only one should be true at a time
-  showCube: true,
-  showSaturn: false,
-  showTriangle: false,
-  showFlower: false,
+  // Current ritual stage - see ritualMachine.js for allowed transitions
+  stage: STAGES.CUBE,
+  lastRejection: null,
   
   // Control
+  magicMode: false,
   autoRotate: true,
   
   // Secrets
   cubeSecretUnlocked: false,
   saturnSecretUnlocked: false,
   trinitySecretUnlocked: false,
+  unlockedAt: { cube: null, saturn: null, trinity: null }, // First unlock time per secret
   
   // User input
   mouseX: 0,
@@ -58,57 +72,166 @@ const initialState = {
   isLoading: true,
   error: null,
   status: 'init',
+  performanceMode: PERFORMANCE.MODES.QUALITY,
   
   // Metadata
   lastAction: null,
   timestamp: Date.now()
 };
 
-// Pure reducer function
-function reducer(state, action) {
-  const timestamp = Date.now();
+// Persisted progress - bump SCHEMA_VERSION and add a migration whenever
+// the shape of the persisted slice changes
+export const STORAGE_KEY = 'saturni-nigrum:progress';
+export const SCHEMA_VERSION = 3;
+
+export const PERSISTED_KEYS = [
+  'stage',
+  'cubeSecretUnlocked',
+  'saturnSecretUnlocked',
+  'trinitySecretUnlocked',
+  'unlockedAt'
+];
+
+// Migrations keyed by the schema version they upgrade to
+export const migrations = {
+  // v2: four show* booleans replaced by a single stage
+  2: ({ showCube, showSaturn, showTriangle, showFlower, ...rest }) => {
+    let stage = STAGES.CUBE;
+    if (showSaturn) stage = STAGES.SATURN;
+    if (showTriangle) stage = STAGES.TRIANGLE;
+    if (showFlower) stage = STAGES.FLOWER;
+    return { ...rest, stage };
+  },
+  
+  // v3: unlock times tracked - unknown for secrets unlocked before this
+  3: (data) => ({ ...data, unlockedAt: { cube: null, saturn: null, trinity: null } })
+};
+
+// Map each SHOW_* action to the stage it requests
+const STAGE_FOR_ACTION = {
+  [ACTION_TYPES.SHOW_CUBE]: STAGES.CUBE,
+  [ACTION_TYPES.SHOW_SATURN]: STAGES.SATURN,
+  [ACTION_TYPES.SHOW_TRIANGLE]: STAGES.TRIANGLE,
+  [ACTION_TYPES.SHOW_FLOWER]: STAGES.FLOWER
+};
+
+// Pick the persisted slice out of the full state
+export function pickPersisted(state) {
+  const slice = {};
+  PERSISTED_KEYS.forEach(key => {
+    slice[key] = state[key];
+  });
+  return slice;
+}
+
+// Merge a loaded slice into the starting state, ignoring anything malformed
+function hydrate(saved, base = initialState) {
+  if (!saved || typeof saved !== 'object') return base;
+
+  const restored = { ...base };
+  PERSISTED_KEYS.forEach(key => {
+    if (typeof saved[key] === 'boolean') restored[key] = saved[key];
+  });
+  restored.unlockedAt = mergeUnlockTimes(base.unlockedAt, saved.unlockedAt);
+
+  // A saved stage must still be reachable with the saved unlocks
+  if (isStageUnlocked(restored, saved.stage)) {
+    restored.stage = saved.stage;
+  }
+
+  return restored;
+}
+
+// Keep the earliest known unlock time for each secret
+function mergeUnlockTimes(current, incoming) {
+  const merged = { ...current };
+  if (!incoming || typeof incoming !== 'object') return merged;
+  
+  Object.keys(SECRET_FLAGS).forEach(secret => {
+    const time = incoming[secret];
+    if (!Number.isFinite(time)) return;
+    merged[secret] = merged[secret] === null ? time : Math.min(merged[secret], time);
+  });
   
+  return merged;
+}
+
+// Unlocks only ever move forward - merge progress from another source
+function mergeProgress(state, progress) {
+  const merged = {
+    unlockedAt: mergeUnlockTimes(state.unlockedAt, progress.unlockedAt)
+  };
+  
+  Object.entries(SECRET_FLAGS).forEach(([secret, flag]) => {
+    merged[flag] = state[flag] || progress.unlocked?.[secret] === true;
+  });
+  
+  return merged;
+}
+
+// Progress from another tab - unlocks merge as above, and the other tab's
+// stage is followed only if it is reachable with the merged unlocks
+function syncProgress(state, progress, actionType, timestamp) {
+  const merged = { ...state, ...mergeProgress(state, progress) };
+  
+  if (progress.stage && isStageUnlocked(merged, progress.stage)) {
+    merged.stage = progress.stage;
+  }
+  
+  return {
+    ...merged,
+    lastAction: actionType,
+    timestamp
+  };
+}
+
+// Set a secret's flag, remembering when it was first unlocked
+function unlockSecret(state, secret, actionType, timestamp) {
+  return {
+    ...state,
+    [SECRET_FLAGS[secret]]: true,
+    unlockedAt: {
+      ...state.unlockedAt,
+      [secret]: state.unlockedAt[secret] ?? timestamp
+    },
+    lastAction: actionType,
+    timestamp
+  };
+}
+
+// Move to a new stage if the state machine allows it, otherwise record why not
+function transitionStage(state, to, actionType, timestamp) {
+  const { allowed, reason } = checkTransition(state, to);
+  
+  if (!allowed) {
+    return {
+      ...state,
+      lastRejection: { action: actionType, from: state.stage, to, reason, timestamp },
+      timestamp
+    };
+  }
+  
+  return {
+    ...state,
+    stage: to,
+    lastAction: actionType,
+    timestamp
+  };
+}
+
+// Pure reducer function
+function reducer(state, action, timestamp) {
   switch (action.type) {
     case ACTION_TYPES.SHOW_CUBE:
-      return {
-        ...state,
-        showCube: true,
-        showSaturn: false,
-        showTriangle: false,
-        showFlower: false,
-        lastAction: action.type,
-        timestamp
-      };
-      
     case ACTION_TYPES.SHOW_SATURN:
-      return {
-        ...state,
-        showCube: false,
-        showSaturn: true,
-        showTriangle: false,
-        showFlower: false,
-        lastAction: action.type,
-        timestamp
-      };
-      
     case ACTION_TYPES.SHOW_TRIANGLE:
-      return {
-        ...state,
-        showCube: false,
-        showSaturn: false,
-        showTriangle: true,
-        showFlower: false,
-        lastAction: action.type,
-        timestamp
-      };
-      
     case ACTION_TYPES.SHOW_FLOWER:
+      return transitionStage(state, STAGE_FOR_ACTION[action.type], action.type, timestamp);
+      
+    case ACTION_TYPES.SET_MAGIC_MODE:
       return {
         ...state,
-        showCube: false,
-        showSaturn: false,
-        showTriangle: false,
-        showFlower: true,
+        magicMode: action.payload,
         lastAction: action.type,
         timestamp
       };
@@ -130,29 +253,25 @@ function reducer(state, action) {
       };
       
     case ACTION_TYPES.UNLOCK_CUBE_SECRET:
-      return {
-        ...state,
-        cubeSecretUnlocked: true,
-        lastAction: action.type,
-        timestamp
-      };
+      return unlockSecret(state, 'cube', action.type, timestamp);
       
     case ACTION_TYPES.UNLOCK_SATURN_SECRET:
-      return {
-        ...state,
-        saturnSecretUnlocked: true,
-        lastAction: action.type,
-        timestamp
-      };
+      return unlockSecret(state, 'saturn', action.type, timestamp);
       
     case ACTION_TYPES.UNLOCK_TRINITY_SECRET:
+      return unlockSecret(state, 'trinity', action.type, timestamp);
+      
+    case ACTION_TYPES.RESTORE_PROGRESS:
       return {
         ...state,
-        trinitySecretUnlocked: true,
+        ...mergeProgress(state, action.payload),
         lastAction: action.type,
         timestamp
       };
       
+    case ACTION_TYPES.SYNC_PROGRESS:
+      return syncProgress(state, action.payload, action.type, timestamp);
+      
     case ACTION_TYPES.UPDATE_MOUSE_POSITION:
       return {
         ...state,
@@ -217,17 +336,79 @@ function reducer(state, action) {
 }
 
 // Create the store
-function createStore() {
-  const { subscribe, update } = writable(initialState);
+export function createStore({
+  persistence = createPersistence({ key: STORAGE_KEY, version: SCHEMA_VERSION, migrations }),
+  now = () => Date.now(), // Injectable clock for deterministic replay
+  initial = {} // Non-persisted state to start from, e.g. magicMode for a replay
+} = {}) {
+  const { subscribe, update } = writable(hydrate(persistence.load(), { ...initialState, ...initial }));
+  
+  // Only write when the persisted slice actually changes - mouse moves
+  // dispatch every frame and shouldn't touch localStorage
+  let currentState;
+  let lastSaved = null;
+  subscribe(state => {
+    currentState = state;
+    
+    const slice = pickPersisted(state);
+    const serialized = JSON.stringify(slice);
+    if (serialized !== lastSaved) {
+      if (lastSaved !== null) persistence.save(slice);
+      lastSaved = serialized;
+    }
+  });
+  
+  function getState() {
+    return currentState;
+  }
+  
+  // Innermost dispatch - runs the reducer
+  function baseDispatch(action) {
+    update(state => reducer(state, action, now()));
+    
+    if (action.type === ACTION_TYPES.RESET_STATE) {
+      persistence.clear();
+    }
+    
+    return action;
+  }
+  
+  // Middleware pipeline: each middleware is ({ getState, dispatch }) => next => action
+  let middlewares = [];
+  let chain = baseDispatch;
+  
+  function rebuildChain() {
+    const api = { getState, dispatch: (action) => dispatch(action) };
+    chain = middlewares
+      .map(middleware => middleware(api))
+      .reduceRight((next, middleware) => middleware(next), baseDispatch);
+  }
   
   // Dispatch function
   function dispatch(action) {
-    update(state => reducer(state, action));
+    return chain(action);
+  }
+  
+  /**
+   * Register middleware, outermost first
+   * @param {...Function} added - Middleware to append to the chain
+   * @returns {Function} Removes the added middleware again
+   */
+  function use(...added) {
+    middlewares = [...middlewares, ...added];
+    rebuildChain();
+    
+    return () => {
+      middlewares = middlewares.filter(middleware => !added.includes(middleware));
+      rebuildChain();
+    };
   }
   
   return {
     subscribe,
     dispatch,
+    getState,
+    use,
     reset: () => dispatch({ type: ACTION_TYPES.RESET_STATE })
   };
 }
@@ -236,7 +417,7 @@ function createStore() {
 export const sceneStore = createStore();
 
 // Simple derived stores that match the state directly
-export const canInteractWithCube = derived(sceneStore, $store => !$store.showTriangle);
+export const canInteractWithCube = derived(sceneStore, $store => $store.stage !== STAGES.TRIANGLE);
 
 // Action creators for cleaner dispatching
 export const actions = {
@@ -244,16 +425,20 @@ export const actions = {
   showSaturn: () => ({ type: ACTION_TYPES.SHOW_SATURN }),
   showTriangle: () => ({ type: ACTION_TYPES.SHOW_TRIANGLE }),
   showFlower: () => ({ type: ACTION_TYPES.SHOW_FLOWER }),
+  setMagicMode: (enabled) => ({ type: ACTION_TYPES.SET_MAGIC_MODE, payload: enabled }),
   toggleAutoRotate: () => ({ type: ACTION_TYPES.TOGGLE_AUTO_ROTATE }),
   setAutoRotate: (value) => ({ type: ACTION_TYPES.SET_AUTO_ROTATE, payload: value }),
   unlockCubeSecret: () => ({ type: ACTION_TYPES.UNLOCK_CUBE_SECRET }),
   unlockSaturnSecret: () => ({ type: ACTION_TYPES.UNLOCK_SATURN_SECRET }),
   unlockTrinitySecret: () => ({ type: ACTION_TYPES.UNLOCK_TRINITY_SECRET }),
+  restoreProgress: (progress) => ({ type: ACTION_TYPES.RESTORE_PROGRESS, payload: progress }),
+  syncProgress: (progress) => ({ type: ACTION_TYPES.SYNC_PROGRESS, payload: progress, meta: { remote: true } }),
   updateMousePosition: (x, y) => ({ type: ACTION_TYPES.UPDATE_MOUSE_POSITION, payload: { x, y } }),
   updateRotation: (x, y) => ({ type: ACTION_TYPES.UPDATE_ROTATION, payload: { x, y } }),
   setLoading: (loading) => ({ type: ACTION_TYPES.SET_LOADING, payload: loading }),
   setError: (error) => ({ type: ACTION_TYPES.SET_ERROR, payload: error }),
   setStatus: (status) => ({ type: ACTION_TYPES.SET_STATUS, payload: status }),
+  setPerformanceMode: (mode) => ({ type: ACTION_TYPES.SET_PERFORMANCE_MODE, payload: mode }),
   reset: () => ({ type: ACTION_TYPES.RESET_STATE })
 };
 
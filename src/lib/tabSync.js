@@ -0,0 +1,97 @@
+/**
+ * Cross-tab synchronization
+ * Keeps unlocks and the current stage in step across same-origin tabs over
+ * a BroadcastChannel. Only the progress slice travels - mouse and rotation
+ * updates stay local. Conflict rules:
+ *  - unlocks are monotonic: a flag set in any tab stays set everywhere,
+ *    and the earliest unlock time wins
+ *  - the most recent stage change wins, as long as the receiving tab's
+ *    state machine allows the stage with the merged unlocks
+ *  - RESET_STATE stays local
+ */
+import { ACTION_TYPES, SECRET_FLAGS, actions } from './store.js';
+
+export const SYNC_CHANNEL = 'saturni-nigrum:sync';
+const MESSAGE_TYPE = 'progress';
+
+// The slice other tabs care about
+function pickProgress(state) {
+  const unlocked = {};
+  Object.entries(SECRET_FLAGS).forEach(([secret, flag]) => {
+    unlocked[secret] = state[flag];
+  });
+  return { unlocked, unlockedAt: state.unlockedAt, stage: state.stage };
+}
+
+/**
+ * Create the tab sync middleware
+ * @param {Object} [options]
+ * @param {Object} [options.channel] - BroadcastChannel-like object, created from SYNC_CHANNEL by default
+ * @param {Function} [options.now] - Clock, injectable for tests
+ * @returns {Object} { middleware, close }
+ */
+export function createTabSync({
+  channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(SYNC_CHANNEL) : null,
+  now = () => Date.now()
+} = {}) {
+  // Without BroadcastChannel every tab simply runs on its own
+  if (!channel) {
+    return { middleware: () => next => next, close: () => {} };
+  }
+
+  let store = null;
+  let stageChangedAt = -Infinity;
+
+  function receive(event) {
+    const message = event.data;
+    if (!store || !message || message.type !== MESSAGE_TYPE) return;
+
+    const { unlocked, unlockedAt, stage, sentAt } = message;
+    const newer = Number.isFinite(sentAt) && sentAt > stageChangedAt;
+    const previousStage = store.getState().stage;
+
+    store.dispatch(actions.syncProgress({
+      unlocked,
+      unlockedAt,
+      stage: newer ? stage : null
+    }));
+
+    if (store.getState().stage !== previousStage) {
+      stageChangedAt = sentAt;
+    }
+  }
+
+  channel.onmessage = receive;
+
+  const middleware = (api) => {
+    store = api;
+
+    return next => action => {
+      const before = api.getState();
+      const result = next(action);
+      const after = api.getState();
+
+      // Remote actions came from another tab already - don't echo them back
+      if (action.meta?.remote || action.type === ACTION_TYPES.RESET_STATE) return result;
+
+      const progress = pickProgress(after);
+      if (JSON.stringify(progress) === JSON.stringify(pickProgress(before))) return result;
+
+      const sentAt = now();
+      if (before.stage !== after.stage) {
+        stageChangedAt = sentAt;
+      }
+
+      channel.postMessage({ type: MESSAGE_TYPE, ...progress, sentAt });
+      return result;
+    };
+  };
+
+  return {
+    middleware,
+    close: () => {
+      channel.onmessage = null;
+      channel.close();
+    }
+  };
+}
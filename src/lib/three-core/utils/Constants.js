@@ -127,6 +127,22 @@ export const PERFORMANCE = {
     quality: 256,
     balanced: 128,
     performance: 64
+  },
+  
+  // Upper bound on renderer pixel ratio (capped by the device's own)
+  PIXEL_RATIO: {
+    quality: Infinity,
+    balanced: 1.5,
+    performance: 1
+  },
+  
+  // Frame time thresholds for the adaptive quality manager (ms)
+  FRAME_BUDGET: {
+    downgradeAbove: 1000 / 45, // Sustained < 45fps steps quality down
+    upgradeBelow: 1000 / 58,   // Sustained > 58fps steps quality back up
+    sampleSize: 90,            // Frames averaged before deciding
+    cooldown: 3000,            // Minimum ms between switches
+    maxBackoff: 300000         // Longest wait before retrying an upgrade that didn't hold
   }
 };
 
@@ -1,6 +1,15 @@
 import { mount } from 'svelte'
 import './app.css'
 import App from './App.svelte'
+import { sceneStore, ACTION_TYPES } from './lib/store.js'
+import {
+  createThrottle,
+  reportRejectedTransitions,
+  validateActions
+} from './lib/middleware.js'
+import { installDebugTools } from './lib/debugTools.js'
+import { createSecretEventBridge } from './lib/secretEvents.js'
+import { createTabSync } from './lib/tabSync.js'
 
 // ASCII art console greeting
 console.log(`
@@ -20,6 +29,28 @@ console.log(`
 
 `, 'font-family: monospace; color: #FFD700; background: #000000; line-height: 1.2;');
 
+// Store middleware - validate first so nothing downstream sees bad actions
+sceneStore.use(
+  validateActions(),
+  createThrottle({ [ACTION_TYPES.UPDATE_MOUSE_POSITION]: 16 }),
+  reportRejectedTransitions()
+)
+
+// Share unlocks and the current stage with other open tabs
+sceneStore.use(createTabSync().middleware)
+
+// Public event surface for host pages - configured through an optional
+// window.saturniNigrum = { onEvent, targetOrigin } set before this script loads
+const hostConfig = window.saturniNigrum || {}
+sceneStore.use(createSecretEventBridge({
+  onEvent: hostConfig.onEvent,
+  targetOrigin: hostConfig.targetOrigin
+}))
+
+if (import.meta.env.DEV) {
+  installDebugTools(sceneStore)
+}
+
 const app = mount(App, {
   target: document.getElementById('app'),
 })
@@ -1,2 +1,8 @@
 /// <reference types="svelte" />
 /// <reference types="vite/client" />
+
+// Served by scripts/vite-plugin-secrets.js from src/lib/secrets.manifest.js
+declare module 'virtual:secrets' {
+  export const K: number[];
+  export const S: Record<string, number[]>;
+}
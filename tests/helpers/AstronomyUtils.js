@@ -0,0 +1,31 @@
+/**
+ * Comparison helpers for astronomy tests
+ */
+
+import { wrap180 } from '../../src/lib/astronomy/angles.js';
+
+/**
+ * Angle between two longitudes in arcminutes, the short way round
+ */
+export function arcminutes(a, b) {
+  return Math.abs(wrap180(a - b)) * 60;
+}
+
+/**
+ * Time between two Dates, for comparing event searches with reference times
+ */
+export function secondsBetween(a, b) {
+  return Math.abs(a.getTime() - b.getTime()) / 1000;
+}
+
+export function minutesBetween(a, b) {
+  return secondsBetween(a, b) / 60;
+}
+
+export function hoursBetween(a, b) {
+  return secondsBetween(a, b) / 3600;
+}
+
+export function daysBetween(a, b) {
+  return secondsBetween(a, b) / 86400;
+}
@@ -1,5 +1,5 @@
 /**
- * Test utilities for Three.js component testing
+ * Test utilities for Three.js component and store testing
  */
 
 import * as THREE from 'three';
@@ -344,4 +344,11 @@ export function createConsistencyTest(componentFactory, testConfigs) {
       }
     });
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Creates an in-memory persistence for createStore, starting from a saved slice
+ */
+export function createMemoryPersistence(saved = null) {
+  return { load: () => saved, save: vi.fn(), clear: vi.fn() };
+}
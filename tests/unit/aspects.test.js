@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  ASPECTS,
+  MAJOR_ASPECTS,
+  ASPECT_PHASES,
+  allowedOrb,
+  matchAspect,
+  findAspects,
+  getAspectBetween,
+  findExactAspects
+} from '../../src/lib/astronomy/aspects.js';
+import { hoursBetween } from '../helpers/AstronomyUtils.js';
+
+describe('Aspect Matching', () => {
+  it('should find the major aspects within their orbs', () => {
+    expect(matchAspect('Mars', { longitude: 10 }, 'Saturn', { longitude: 12 }).aspect).toBe('conjunction');
+    expect(matchAspect('Mars', { longitude: 10 }, 'Saturn', { longitude: 195 }).aspect).toBe('opposition');
+    expect(matchAspect('Mars', { longitude: 350 }, 'Saturn', { longitude: 112 }).aspect).toBe('trine');
+    expect(matchAspect('Mars', { longitude: 10 }, 'Saturn', { longitude: 280 }).aspect).toBe('square');
+    expect(matchAspect('Mars', { longitude: 10 }, 'Saturn', { longitude: 72 }).aspect).toBe('sextile');
+    expect(matchAspect('Mars', { longitude: 10 }, 'Saturn', { longitude: 40 })).toBeNull();
+  });
+
+  it('should only include minor aspects when asked', () => {
+    const mars = { longitude: 0 };
+    const saturn = { longitude: 150.5 };
+
+    expect(matchAspect('Mars', mars, 'Saturn', saturn)).toBeNull();
+    expect(matchAspect('Mars', mars, 'Saturn', saturn, { minor: true }).aspect).toBe('quincunx');
+    expect(matchAspect('Mars', mars, 'Saturn', saturn, { aspects: ['quincunx'] }).orb).toBeCloseTo(0.5, 10);
+  });
+
+  it('should narrow orbs by the planets\' moieties', () => {
+    expect(allowedOrb('square', 'Sun', 'Moon')).toBe(7);
+    expect(allowedOrb('square', 'Uranus', 'Neptune')).toBe(5);
+    expect(allowedOrb('square', 'Moon', 'Saturn', { planetOrbs: { Moon: 1 } })).toBe(5);
+    expect(allowedOrb('square', 'Moon', 'Saturn', { orbs: { square: 3 } })).toBe(3);
+    expect(() => allowedOrb('pentagram', 'Moon', 'Saturn')).toThrow('Unknown aspect');
+  });
+
+  it('should tell applying from separating', () => {
+    // Moon at 5°, Saturn at 10°: the faster Moon is closing in
+    const before = matchAspect('Moon', { longitude: 5, speed: 13 }, 'Saturn', { longitude: 10, speed: 0.05 });
+    const after = matchAspect('Moon', { longitude: 15, speed: 13 }, 'Saturn', { longitude: 10, speed: 0.05 });
+    // Retrograde Saturn backing away from an opposition
+    const opposition = matchAspect('Sun', { longitude: 182, speed: 1 }, 'Saturn', { longitude: 0, speed: -0.07 });
+
+    expect(before.phase).toBe(ASPECT_PHASES.APPLYING);
+    expect(before.applying).toBe(true);
+    expect(after.phase).toBe(ASPECT_PHASES.SEPARATING);
+    expect(opposition.phase).toBe(ASPECT_PHASES.SEPARATING);
+    expect(matchAspect('Moon', { longitude: 5 }, 'Saturn', { longitude: 10 }).phase).toBeNull();
+  });
+
+  it('should list aspects tightest first', () => {
+    const aspects = findAspects({
+      Sun: { longitude: 0 },
+      Moon: { longitude: 93 },
+      Saturn: { longitude: 181 }
+    });
+
+    expect(aspects.map(aspect => aspect.label)).toEqual(['Sun ☍ Saturn', 'Moon □ Saturn', 'Sun □ Moon']);
+  });
+});
+
+describe('Sky Aspects', () => {
+  it('should see the September 2025 Moon-Saturn opposition', () => {
+    const aspect = getAspectBetween('Moon', 'Saturn', new Date('2025-09-21T19:00:00Z'));
+
+    expect(aspect.aspect).toBe('opposition');
+    expect(aspect.orb).toBeLessThan(1);
+  });
+
+  it('should find exact aspects close to a full ephemeris', () => {
+    // Times from astronomy-engine apparent longitudes. The slow Sun-Saturn
+    // opposition magnifies Saturn's element error into hours.
+    const events = findExactAspects(new Date('2025-09-01T00:00:00Z'), new Date('2025-10-01T00:00:00Z'), {
+      bodies: ['Sun', 'Moon', 'Saturn'],
+      aspects: ['conjunction', 'opposition']
+    });
+    const find = (label) => events.find(event => event.label === label);
+
+    expect(hoursBetween(find('Moon ☌ Saturn').date, new Date('2025-09-08T17:43:38Z'))).toBeLessThan(1);
+    expect(hoursBetween(find('Sun ☍ Saturn').date, new Date('2025-09-21T05:42:30Z'))).toBeLessThan(3);
+    expect(events.every((event, i) => i === 0 || event.jd >= events[i - 1].jd)).toBe(true);
+  });
+
+  it('should find both sides of non-symmetric aspects', () => {
+    const events = findExactAspects(new Date('2025-01-01T00:00:00Z'), new Date('2025-02-01T00:00:00Z'), {
+      bodies: ['Moon', 'Saturn'],
+      aspects: ['square']
+    });
+
+    expect(events).toHaveLength(2);
+    expect(events.every(event => Math.abs(Math.abs(event.longitudes[0] - event.longitudes[1]) % 180 - 90) < 0.01)).toBe(true);
+  });
+
+  it('should be reachable from PlanetarySystem', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-09-21T19:00:00Z'));
+
+    expect(system.getAspects().some(aspect => aspect.label === 'Sun ☍ Saturn')).toBe(true);
+    expect(system.getAspectBetween('Moon', 'Saturn').aspect).toBe('opposition');
+    expect(system.findExactAspects(undefined, undefined, { bodies: ['Sun', 'Moon'] }).length).toBeGreaterThan(0);
+    expect(MAJOR_ASPECTS).toHaveLength(5);
+    expect(Object.keys(ASPECTS)).toHaveLength(11);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  findEclipses,
+  findNextEclipse,
+  solarEclipse,
+  lunarEclipse,
+  ECLIPSE_KINDS,
+  ECLIPSE_TYPES
+} from '../../src/lib/astronomy/eclipses.js';
+import { findNextNewMoon, findNextFullMoon } from '../../src/lib/astronomy/moonPhase.js';
+import { secondsBetween } from '../helpers/AstronomyUtils.js';
+
+const MS_PER_DAY = 86400000;
+
+// The eclipse nearest an instant
+function eclipseAt(iso, kind) {
+  const date = new Date(iso);
+  const found = findEclipses(new Date(date.getTime() - 2 * MS_PER_DAY), new Date(date.getTime() + 2 * MS_PER_DAY), { kinds: [kind] });
+  expect(found).toHaveLength(1);
+  return found[0];
+}
+
+describe('Eclipses', () => {
+  // Greatest eclipse from astronomy-engine; types and gamma from NASA's Five Millennium Canon
+  it.each([
+    ['solar', '2024-04-08T18:17:19Z', 'total', 0.3431],
+    ['solar', '2023-10-14T17:59:27Z', 'annular', 0.3757],
+    ['solar', '2023-04-20T04:16:42Z', 'hybrid', -0.3952],
+    ['solar', '2013-11-03T12:46:30Z', 'hybrid', 0.3272],
+    ['solar', '2025-03-29T10:47:26Z', 'partial', 1.0405],
+    ['solar', '2025-09-21T19:41:49Z', 'partial', -1.0651],
+    ['lunar', '2025-03-14T06:58:42Z', 'total', 0.3485],
+    ['lunar', '2025-09-07T18:11:42Z', 'total', -0.2752],
+    ['lunar', '2023-10-28T20:13:57Z', 'partial', 0.9470],
+    ['lunar', '2024-03-25T07:12:50Z', 'penumbral', 1.0610]
+  ])('should find the %s eclipse of %s', (kind, iso, type, gamma) => {
+    const eclipse = eclipseAt(iso, kind);
+
+    expect(eclipse.type).toBe(type);
+    expect(secondsBetween(eclipse.date, new Date(iso))).toBeLessThan(90);
+    expect(eclipse.gamma).toBeCloseTo(gamma, 2);
+  });
+
+  it('should list a year\'s eclipses in order', () => {
+    const eclipses = findEclipses(new Date('2024-01-01T00:00:00Z'), new Date('2025-01-01T00:00:00Z'));
+
+    expect(eclipses.map(eclipse => eclipse.label)).toEqual([
+      'Penumbral lunar eclipse',
+      'Total solar eclipse',
+      'Partial lunar eclipse',
+      'Annular solar eclipse'
+    ]);
+    expect(eclipses.every(eclipse => eclipse.jd > 0 && eclipse.date instanceof Date)).toBe(true);
+  });
+
+  it('should look for one kind only', () => {
+    const range = [new Date('2025-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z')];
+
+    expect(findEclipses(...range, { kinds: [ECLIPSE_KINDS.LUNAR] }).map(eclipse => eclipse.type))
+      .toEqual([ECLIPSE_TYPES.TOTAL, ECLIPSE_TYPES.TOTAL]);
+    expect(() => findEclipses(...range, { kinds: ['stellar'] })).toThrow('Unknown eclipse kind: stellar');
+  });
+
+  it('should find nothing at a syzygy far from the nodes', () => {
+    expect(solarEclipse(findNextNewMoon(new Date('2025-06-20T00:00:00Z')).jd)).toBeNull();
+    expect(lunarEclipse(findNextFullMoon(new Date('2025-06-01T00:00:00Z')).jd)).toBeNull();
+  });
+
+  it('should find the next eclipse', () => {
+    const date = new Date('2025-04-01T00:00:00Z');
+
+    expect(findNextEclipse(date).date.toISOString()).toMatch(/^2025-09-07/);
+    expect(findNextEclipse(date, { kind: ECLIPSE_KINDS.SOLAR }).date.toISOString()).toMatch(/^2025-09-21/);
+  });
+
+  it('should be reachable from the planetary system', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-01-01T00:00:00Z'));
+
+    expect(system.findEclipses()).toEqual(findEclipses(new Date('2025-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z')));
+    expect(system.findNextEclipse().label).toBe('Total lunar eclipse');
+  });
+});
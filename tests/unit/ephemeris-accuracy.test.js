@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import { wrap180 } from '../../src/lib/astronomy/angles.js';
+import fixture from '../fixtures/ephemeris.json';
+
+// Geocentric positions of every body from 1600 to 2400 against the bundled
+// reference table (see its source field), so a regression in the orbital
+// elements, Kepler solver, lunar theory, precession or ΔT fails here rather
+// than quietly turning the sky.
+
+// Years the JPL elements are fitted to
+const CORE_RANGE = [1800, 2050];
+
+// [longitude, latitude] budgets in arcminutes. Jupiter and Saturn carry the
+// elements' missing mutual perturbations; away from the fitted range every
+// outer planet drifts further.
+const CORE_BUDGETS = {
+  Sun: [1, 0.5],
+  Moon: [1, 0.5],
+  Mercury: [1.5, 0.5],
+  Venus: [1.5, 0.5],
+  Mars: [4, 0.5],
+  Jupiter: [12, 0.5],
+  Saturn: [16, 1],
+  Uranus: [3, 0.5],
+  Neptune: [2, 0.5]
+};
+
+const EXTENDED_BUDGETS = {
+  Sun: [1, 0.5],
+  Moon: [1.5, 0.5],
+  Mercury: [1.5, 1],
+  Venus: [2, 1.5],
+  Mars: [10, 1.5],
+  Jupiter: [60, 2],
+  Saturn: [150, 7],
+  Uranus: [45, 1],
+  Neptune: [12, 0.5]
+};
+
+const inCoreRange = (date) => {
+  const year = new Date(date).getUTCFullYear();
+  return year >= CORE_RANGE[0] && year < CORE_RANGE[1];
+};
+
+const system = new PlanetarySystem();
+
+function errorsAt(row) {
+  system.setDate(new Date(row.date));
+  return fixture.bodies.map(body => {
+    const position = system.getGeocentricPosition(body);
+    const [longitude, latitude] = row[body];
+    return {
+      body,
+      longitude: wrap180(position.longitude - longitude) * 60,
+      latitude: (position.latitude - latitude) * 60
+    };
+  });
+}
+
+describe('Ephemeris Accuracy', () => {
+  it('should cover every body across several centuries', () => {
+    const years = fixture.positions.map(row => new Date(row.date).getUTCFullYear());
+
+    expect(fixture.bodies).toEqual(Object.keys(CORE_BUDGETS));
+    expect(Math.max(...years) - Math.min(...years)).toBeGreaterThanOrEqual(600);
+    expect(fixture.positions.filter(row => inCoreRange(row.date)).length).toBeGreaterThan(20);
+  });
+
+  it.each(fixture.positions)('should place every body within budget on $date', (row) => {
+    const budgets = inCoreRange(row.date) ? CORE_BUDGETS : EXTENDED_BUDGETS;
+
+    errorsAt(row).forEach(({ body, longitude, latitude }) => {
+      const [longitudeBudget, latitudeBudget] = budgets[body];
+      expect(Math.abs(longitude), `${body} longitude`).toBeLessThan(longitudeBudget);
+      expect(Math.abs(latitude), `${body} latitude`).toBeLessThan(latitudeBudget);
+    });
+  });
+
+  it('should not rotate the sky as a whole', () => {
+    // A precession or time-scale slip moves everything the same way, well
+    // inside the per-body budgets - the median error gives it away
+    const errors = fixture.positions
+      .filter(row => inCoreRange(row.date))
+      .flatMap(row => errorsAt(row).map(({ longitude }) => longitude))
+      .sort((a, b) => a - b);
+
+    expect(Math.abs(errors[Math.floor(errors.length / 2)])).toBeLessThan(0.5);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { evaluate } from '../../src/lib/expression.js';
+import { ge, g } from '../../src/lib/crypto.js';
+
+describe('Expression Evaluator', () => {
+  it('should evaluate numbers and the four operators with precedence', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('10 / 4 - 1')).toBe(1.5);
+    expect(evaluate('-2 * -(3)')).toBe(6);
+    expect(evaluate('.5 + 1e2')).toBe(100.5);
+  });
+
+  it('should resolve Math constants and functions', () => {
+    expect(evaluate('Math.PI * 0.666')).toBeCloseTo(Math.PI * 0.666, 12);
+    expect(evaluate('(1+Math.sqrt(5))/2')).toBeCloseTo((1 + Math.sqrt(5)) / 2, 12);
+    expect(evaluate('Math.max(1, Math.pow(2, 3), 4)')).toBe(8);
+    expect(evaluate('Math.atan2(1, 1)')).toBeCloseTo(Math.PI / 4, 12);
+  });
+
+  it.each([
+    ['alert(1)', /Unknown identifier "alert"/],
+    ['Math.random()', /Unsupported Math member "random"/],
+    ['Math.constructor', /Unsupported Math member/],
+    ['window.location', /Unknown identifier/],
+    ['1 + ', /end of input/],
+    ['(1 + 2', /Expected "\)"/],
+    ['2 ** 3', /Unexpected "\*"/],
+    ['1; 2', /Unexpected character ";"/],
+    ['"text"', /Unexpected character/],
+    ['1 2', /Unexpected "2"/]
+  ])('should reject %s', (source, message) => {
+    expect(() => evaluate(source)).toThrow(SyntaxError);
+    expect(() => evaluate(source)).toThrow(message);
+  });
+
+  it('should evaluate the stored magic angles without Function()', () => {
+    const spy = vi.spyOn(globalThis, 'Function');
+
+    expect(g('ANGLE_666')).toBe('Math.PI * 0.666');
+    expect(ge('ANGLE_666')).toBeCloseTo(Math.PI * 0.666, 12);
+    expect(ge('ANGLE_1333')).toBeCloseTo(Math.PI * 1.333, 12);
+    expect(ge('PHI_CALC')).toBeCloseTo(1.6180339887, 9);
+    expect(spy).not.toHaveBeenCalled();
+
+    spy.mockRestore();
+  });
+});
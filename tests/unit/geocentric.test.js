@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  geocentricPosition,
+  earthPosition,
+  precessEcliptic,
+  GEOCENTRIC_BODIES,
+  EQUINOX
+} from '../../src/lib/astronomy/geocentric.js';
+import { heliocentricPosition } from '../../src/lib/astronomy/orbitalElements.js';
+import { julianEphemerisDay } from '../../src/lib/astronomy/time.js';
+import { equatorialPosition } from '../../src/lib/astronomy/coordinates.js';
+import { arcminutes } from '../helpers/AstronomyUtils.js';
+
+const jdOf = (iso) => julianEphemerisDay(new Date(iso));
+
+describe('Geocentric Positions', () => {
+  // References from astronomy-engine: light-time corrected, ecliptic of date
+  it.each([
+    ['Sun', '2024-06-20T20:51:00Z', 90.0055, 0.0001, 1.016198, 1],
+    ['Moon', '2024-04-08T18:18:00Z', 19.3709, 0.3467, 0.002405, 1],
+    ['Venus', '2025-03-23T00:00:00Z', 2.6860, 8.4149, 0.280624, 2],
+    ['Mars', '2025-01-12T00:00:00Z', 117.8455, 4.2239, 0.642299, 3],
+    ['Saturn', '2025-03-21T00:00:00Z', 353.1556, -1.9229, 10.592947, 15],
+    ['Jupiter', '1900-01-01T00:00:00Z', 241.1409, 0.8132, 6.113175, 12]
+  ])('should place %s at %s', (body, iso, longitude, latitude, distance, tolerance) => {
+    const position = geocentricPosition(body, jdOf(iso));
+
+    expect(arcminutes(position.longitude, longitude)).toBeLessThan(tolerance);
+    expect(Math.abs(position.latitude - latitude) * 60).toBeLessThan(tolerance);
+    expect(Math.abs(position.distance - distance) / distance).toBeLessThan(5e-3);
+  });
+
+  it('should put the Sun opposite Earth\'s heliocentric position', () => {
+    const jd = jdOf('2025-09-22T18:19:00Z');
+    const sun = geocentricPosition('Sun', jd, { equinox: EQUINOX.J2000 });
+    const earth = heliocentricPosition('Earth', jd);
+
+    expect(arcminutes(sun.longitude, earth.longitude + 180)).toBeLessThan(0.2);
+    expect(sun.lightTime).toBe(0);
+  });
+
+  it('should offset Earth from the Earth-Moon barycenter by about 4700 km', () => {
+    const jd = jdOf('2025-01-01T00:00:00Z');
+    const earth = earthPosition(jd);
+    const barycenter = heliocentricPosition('Earth', jd);
+    const offsetKm = Math.hypot(earth.x - barycenter.x, earth.y - barycenter.y, earth.z - barycenter.z) * 149597870.7;
+
+    expect(offsetKm).toBeGreaterThan(4400);
+    expect(offsetKm).toBeLessThan(4900);
+  });
+
+  it('should apply light-time only when asked', () => {
+    const jd = jdOf('2025-01-12T00:00:00Z');
+    const corrected = geocentricPosition('Jupiter', jd);
+    const instant = geocentricPosition('Jupiter', jd, { lightTime: false });
+
+    // Jupiter ~4.2 au away: light takes ~35 minutes
+    expect(corrected.lightTime * 1440).toBeCloseTo(corrected.distance * 8.317, 0);
+    expect(instant.lightTime).toBe(0);
+    expect(corrected.longitude).not.toBe(instant.longitude);
+  });
+
+  it('should precess longitudes by about 50 arcseconds a year', () => {
+    const { longitude, latitude } = precessEcliptic(100, 0, 0, 0.25);
+
+    expect((longitude - 100) * 3600).toBeCloseTo(25 * 50.29, -1);
+    expect(Math.abs(latitude)).toBeLessThan(0.01);
+
+    const back = precessEcliptic(longitude, latitude, 0.25, 0);
+    expect(back.longitude).toBeCloseTo(100, 9);
+    expect(back.latitude).toBeCloseTo(0, 9);
+  });
+
+  it('should return null for unknown bodies', () => {
+    expect(geocentricPosition('Pluto', jdOf('2025-01-01T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('Equatorial Positions', () => {
+  // References from astronomy-engine, light-time corrected; nutation is left
+  // out here, which accounts for up to 20 arcseconds
+  it.each([
+    ['Sun', EQUINOX.DATE, 0.5687, 0.2466],
+    ['Sun', EQUINOX.J2000, 0.2454, 0.1061],
+    ['Moon', EQUINOX.DATE, 251.8314, -27.5745],
+    ['Mars', EQUINOX.DATE, 112.5565, 24.8118],
+    ['Mars', EQUINOX.J2000, 112.1726, 24.8628]
+  ])('should give the right ascension and declination of %s (%s)', (body, equinox, rightAscension, declination) => {
+    const position = equatorialPosition(body, jdOf('2025-03-21T00:00:00Z'), { equinox });
+
+    expect(arcminutes(position.rightAscension, rightAscension) * Math.cos(declination * Math.PI / 180)).toBeLessThan(1);
+    expect(Math.abs(position.declination - declination) * 60).toBeLessThan(1);
+  });
+
+  it('should return null for an unknown body', () => {
+    expect(equatorialPosition('Pluto', jdOf('2025-03-21T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('PlanetarySystem geocentric mode', () => {
+  it('should give every body a geocentric position for the current time', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-21T00:00:00Z'));
+    const positions = system.getAllGeocentricPositions();
+
+    expect(Object.keys(positions)).toEqual(GEOCENTRIC_BODIES);
+    expect(arcminutes(positions.Saturn.longitude, 353.1556)).toBeLessThan(15);
+    Object.values(positions).forEach(position => {
+      expect(Math.hypot(position.x, position.y, position.z)).toBeCloseTo(position.distance, 10);
+    });
+  });
+
+  it('should give every body a right ascension and declination', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-21T00:00:00Z'));
+    const positions = system.getAllEquatorialPositions();
+
+    expect(Object.keys(positions)).toEqual(GEOCENTRIC_BODIES);
+    expect(positions.Mars).toEqual(system.getEquatorialPosition('Mars'));
+    expect(Math.abs(positions.Mars.declination - 24.8118) * 60).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createStore } from '../../src/lib/store.js';
+import {
+  hashMagicWord,
+  resolveMagicWord,
+  grantActions,
+  GRANTS,
+  MAGIC_WORDS
+} from '../../src/lib/magicWords.js';
+import { STAGES } from '../../src/lib/ritualMachine.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+function applyGrant(grant) {
+  const store = createStore({ persistence: createMemoryPersistence() });
+  grantActions(grant).forEach(action => store.dispatch(action));
+  return store.getState();
+}
+
+describe('Magic Words', () => {
+  it('should hash words to salted SHA-256 hex digests', async () => {
+    const digest = await hashMagicWord('abracadabra');
+
+    expect(digest).toMatch(/^[0-9a-f]{64}$/);
+    expect(await hashMagicWord('  AbraCadabra ')).toBe(digest);
+  });
+
+  it('should resolve the documented word to the full grant', async () => {
+    expect(await resolveMagicWord('abracadabra')).toBe(GRANTS.ALL);
+  });
+
+  it('should resolve every digest in the table to a known grant', () => {
+    Object.values(MAGIC_WORDS).forEach(grant => {
+      expect(Object.values(GRANTS)).toContain(grant);
+    });
+    expect(new Set(Object.values(MAGIC_WORDS)).size).toBe(Object.keys(GRANTS).length);
+  });
+
+  it('should ignore unknown and empty words', async () => {
+    expect(await resolveMagicWord('open sesame')).toBeNull();
+    expect(await resolveMagicWord('')).toBeNull();
+    expect(await resolveMagicWord(null)).toBeNull();
+  });
+
+  it('should look words up in a custom table', async () => {
+    const table = { [await hashMagicWord('test')]: GRANTS.CUBE };
+    expect(await resolveMagicWord('test', table)).toBe(GRANTS.CUBE);
+    expect(await resolveMagicWord('abracadabra', table)).toBeNull();
+  });
+
+  it('should unlock only the cube for the cube grant', () => {
+    const state = applyGrant(GRANTS.CUBE);
+
+    expect(state.cubeSecretUnlocked).toBe(true);
+    expect(state.saturnSecretUnlocked).toBe(false);
+    expect(state.magicMode).toBe(false);
+  });
+
+  it('should unlock up to Saturn for the saturn grant', () => {
+    const state = applyGrant(GRANTS.SATURN);
+
+    expect(state.cubeSecretUnlocked).toBe(true);
+    expect(state.saturnSecretUnlocked).toBe(true);
+    expect(state.trinitySecretUnlocked).toBe(false);
+    expect(state.magicMode).toBe(false);
+  });
+
+  it.each([GRANTS.ALL, GRANTS.DEBUG])('should unlock everything for the %s grant', (grant) => {
+    const state = applyGrant(grant);
+
+    expect(state.trinitySecretUnlocked).toBe(true);
+    expect(state.magicMode).toBe(true);
+    expect(state.stage).toBe(STAGES.CUBE);
+  });
+
+  it('should grant nothing for an unknown grant', () => {
+    expect(grantActions('everything')).toEqual([]);
+  });
+});
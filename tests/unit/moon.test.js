@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import { moonPosition, lunarArguments } from '../../src/lib/astronomy/moon.js';
+import {
+  moonPhase,
+  findLunarEvent,
+  findNextNewMoon,
+  findNextFullMoon,
+  LUNAR_EVENTS,
+  SYNODIC_MONTH
+} from '../../src/lib/astronomy/moonPhase.js';
+import { describeMansion, getLunarMansion, LUNAR_MANSIONS, MANSION_ARC } from '../../src/lib/astronomy/lunarMansions.js';
+import { julianEphemerisDay } from '../../src/lib/astronomy/time.js';
+import { minutesBetween } from '../helpers/AstronomyUtils.js';
+
+describe('Lunar Theory', () => {
+  it('should reproduce Meeus example 47.a', () => {
+    // 1992 April 12, 0h TD
+    const moon = moonPosition(2448724.5);
+
+    expect(moon.longitude).toBeCloseTo(133.162655, 5);
+    expect(moon.latitude).toBeCloseTo(-3.229126, 5);
+    expect(moon.distance).toBeCloseTo(368409.7, 0);
+  });
+
+  it('should compute the fundamental arguments', () => {
+    const { L, D, M, Mp, F } = lunarArguments((2448724.5 - 2451545) / 36525);
+
+    expect(L).toBeCloseTo(134.290182, 5);
+    expect(D).toBeCloseTo(113.842304, 5);
+    expect(M).toBeCloseTo(97.643514, 5);
+    expect(Mp).toBeCloseTo(5.150833, 5);
+    expect(F).toBeCloseTo(219.889721, 5);
+  });
+});
+
+describe('Moon Phases', () => {
+  it('should describe a full moon', () => {
+    // astronomy-engine: full moon 2025-03-14 06:55 UTC, phase angle 0.32°
+    const phase = moonPhase(julianEphemerisDay(new Date('2025-03-14T06:55:00Z')));
+
+    expect(phase.name).toBe('Full Moon');
+    expect(phase.phaseAngle).toBeLessThan(1);
+    expect(phase.illumination).toBeGreaterThan(0.9999);
+    expect(phase.age).toBeCloseTo(SYNODIC_MONTH / 2, 0);
+  });
+
+  it('should name the phases in order through a lunation', () => {
+    const newMoon = new Date('2025-01-29T12:36:00Z');
+    const names = [0, 4, 7.4, 11, 14.8, 18.5, 22.1, 26].map(days =>
+      moonPhase(julianEphemerisDay(new Date(newMoon.getTime() + days * 86400000))).name
+    );
+
+    expect(names).toEqual([
+      'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+      'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+    ]);
+  });
+
+  it('should match the illuminated fraction near first quarter', () => {
+    // astronomy-engine: 0.5003 lit at 2025-02-05 08:02 UTC
+    const phase = moonPhase(julianEphemerisDay(new Date('2025-02-05T08:02:00Z')));
+
+    expect(phase.illumination).toBeCloseTo(0.5, 2);
+    expect(phase.waxing).toBe(true);
+  });
+
+  it('should find new and full moons within a minute', () => {
+    // Reference instants from astronomy-engine
+    expect(minutesBetween(findNextNewMoon(new Date('2025-01-01T00:00:00Z')).date, new Date('2025-01-29T12:36:34Z'))).toBeLessThan(1);
+    expect(minutesBetween(findNextFullMoon(new Date('2025-01-01T00:00:00Z')).date, new Date('2025-01-13T22:27:32Z'))).toBeLessThan(1);
+    expect(minutesBetween(findNextFullMoon(new Date('2025-02-13T00:00:00Z')).date, new Date('2025-03-14T06:55:20Z'))).toBeLessThan(1);
+  });
+
+  it('should search backward and skip an event at the start', () => {
+    const newMoon = findNextNewMoon(new Date('2025-01-01T00:00:00Z'));
+    const previous = findLunarEvent(LUNAR_EVENTS.NEW, new Date('2025-03-01T00:00:00Z'), { backward: true });
+    const following = findNextNewMoon(newMoon.date);
+
+    expect(minutesBetween(previous.date, new Date('2025-02-28T00:45:23Z'))).toBeLessThan(5);
+    expect(following.jd - newMoon.jd).toBeGreaterThan(29);
+  });
+});
+
+describe('Lunar Mansions', () => {
+  it('should divide the zodiac into 28 equal mansions', () => {
+    expect(LUNAR_MANSIONS).toHaveLength(28);
+    expect(describeMansion(0).name).toBe('Al Sharatain');
+    expect(describeMansion(MANSION_ARC + 0.1).number).toBe(2);
+    expect(describeMansion(359.99).name).toBe('Batn al Hut');
+    expect(describeMansion(-0.01).number).toBe(28);
+  });
+
+  it('should place the Moon in its mansion', () => {
+    // Moon at 133.16° on 1992-04-12: the eleventh mansion, from 128.57°
+    const mansion = getLunarMansion(new Date('1992-04-12T00:00:00Z'));
+
+    expect(mansion.number).toBe(11);
+    expect(mansion.name).toBe('Al Zubra');
+    expect(mansion.degreeInMansion).toBeCloseTo(mansion.longitude - mansion.start, 10);
+  });
+});
+
+describe('PlanetarySystem Moon', () => {
+  it('should move the Moon with the lunar theory', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('1992-04-12T00:00:00Z'));
+
+    expect(system.planets.Moon.currentAngle).toBeCloseTo(moonPosition(system.getJulianEphemerisDay()).longitude, 10);
+    expect(system.getMoonPhase().name).toBe('First Quarter'); // 110° from the Sun
+    expect(system.getLunarMansion().number).toBe(11);
+    expect(system.findNextFullMoon().date > system.getDate()).toBe(true);
+    expect(system.findNextNewMoon().jd - system.getJulianDay()).toBeLessThan(SYNODIC_MONTH);
+  });
+
+  it('should scale the Moon\'s scene radius by its true distance', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('1992-04-12T00:00:00Z'));
+    const { x, y, z } = system.getPlanetPosition('Moon');
+
+    expect(Math.hypot(x, y, z)).toBeCloseTo(2 * 368409.7 / 385000.56, 2);
+  });
+});
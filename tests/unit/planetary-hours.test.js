@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import { getSunTimes, findSunEvent, sunAltitude } from '../../src/lib/astronomy/sunrise.js';
+import {
+  getPlanetaryDay,
+  getPlanetaryHour,
+  findNextPlanetaryHour,
+  CHALDEAN_ORDER
+} from '../../src/lib/astronomy/planetaryHours.js';
+import { eclipticToEquatorial, meanObliquity } from '../../src/lib/astronomy/coordinates.js';
+import { julianDay } from '../../src/lib/astronomy/time.js';
+import { secondsBetween } from '../helpers/AstronomyUtils.js';
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const SYDNEY = { latitude: -33.8688, longitude: 151.2093 };
+const TROMSO = { latitude: 69.6492, longitude: 18.9553 };
+
+describe('Sunrise and Sunset', () => {
+  // References from astronomy-engine SearchRiseSet
+  it.each([
+    ['London', LONDON, '2025-01-15T12:00:00Z', '2025-01-15T07:59:13Z', '2025-01-15T16:21:11Z'],
+    ['London', LONDON, '2025-06-21T12:00:00Z', '2025-06-21T03:43:10Z', '2025-06-21T20:21:33Z'],
+    ['Sydney', SYDNEY, '2025-01-15T12:00:00Z', '2025-01-14T18:59:42Z', '2025-01-15T09:08:56Z']
+  ])('should find sunrise and sunset in %s on %s', (name, location, iso, sunrise, sunset) => {
+    const times = getSunTimes(new Date(iso), location);
+
+    expect(secondsBetween(times.sunrise, new Date(sunrise))).toBeLessThan(30);
+    expect(secondsBetween(times.sunset, new Date(sunset))).toBeLessThan(30);
+  });
+
+  it('should find neither under the midnight sun', () => {
+    expect(getSunTimes(new Date('2025-06-21T12:00:00Z'), TROMSO)).toEqual({ sunrise: null, sunset: null });
+    expect(findSunEvent(new Date('2025-06-21T12:00:00Z'), TROMSO, { rising: false })).toBeNull();
+  });
+
+  it('should put the Sun high at local noon in midsummer', () => {
+    // 90 - 51.5 + 23.44
+    expect(sunAltitude(julianDay(new Date('2025-06-21T12:02:00Z')), LONDON)).toBeCloseTo(61.9, 0);
+  });
+
+  it('should convert ecliptic to equatorial coordinates', () => {
+    // Meeus example 13.a: Pollux
+    const { rightAscension, declination } = eclipticToEquatorial(113.215630, 6.684170, 23.4392911);
+
+    expect(rightAscension).toBeCloseTo(116.328942, 5);
+    expect(declination).toBeCloseTo(28.026183, 5);
+    expect(meanObliquity(0)).toBeCloseTo(23.4392911, 7);
+  });
+});
+
+describe('Planetary Hours', () => {
+  // Saturday 18 January 2025
+  const saturday = getPlanetaryDay(LONDON, new Date('2025-01-18T09:00:00Z'));
+
+  it('should start Saturday with the hour of Saturn', () => {
+    expect(saturday.dayRuler).toBe('Saturn');
+    expect(saturday.hours[0].ruler).toBe('Saturn');
+    expect(saturday.hours[0].start).toEqual(saturday.sunrise);
+  });
+
+  it('should follow the Chaldean order through 24 hours', () => {
+    expect(saturday.hours).toHaveLength(24);
+    saturday.hours.forEach((hour, i) => {
+      expect(hour.number).toBe(i + 1);
+      expect(hour.ruler).toBe(CHALDEAN_ORDER[i % 7]);
+      expect(hour.isDay).toBe(i < 12);
+    });
+    // ...which carries on into Sunday's first hour, the Sun's
+    expect(CHALDEAN_ORDER[24 % 7]).toBe('Sun');
+  });
+
+  it('should make winter day hours short and night hours long', () => {
+    const [dayHour] = saturday.hours;
+    const nightHour = saturday.hours[12];
+
+    expect(dayHour.end - dayHour.start).toBeCloseTo((saturday.sunset - saturday.sunrise) / 12, -1);
+    expect(nightHour.end - nightHour.start).toBeGreaterThan(60 * 60 * 1000);
+    expect(dayHour.end - dayHour.start).toBeLessThan(60 * 60 * 1000);
+    expect(saturday.hours[23].end).toEqual(saturday.nextSunrise);
+  });
+
+  it('should count the hours before sunrise in the previous day', () => {
+    const hour = getPlanetaryHour(LONDON, new Date('2025-01-18T05:00:00Z'));
+
+    expect(hour.dayRuler).toBe('Venus');
+    expect(hour.number).toBe(22);
+    expect(hour.ruler).toBe('Venus');
+    expect(hour.isDay).toBe(false);
+  });
+
+  it('should find the next hour of Saturn', () => {
+    const now = new Date('2025-01-18T09:00:00Z');
+    const next = findNextPlanetaryHour('Saturn', LONDON, now);
+
+    expect(next.ruler).toBe('Saturn');
+    expect(next.number).toBe(8);
+    expect(next.start > now).toBe(true);
+    expect(next).toMatchObject(saturday.hours[7]);
+  });
+
+  it('should look into the next day when needed', () => {
+    // Late Saturday night: Saturn's last hour that day, the 22nd, has passed
+    const now = new Date(saturday.hours[22].start.getTime() + 60000);
+    const next = findNextPlanetaryHour('Saturn', LONDON, now);
+
+    expect(next.dayRuler).toBe('Sun');
+    expect(next.start > saturday.nextSunrise).toBe(true);
+    expect(() => findNextPlanetaryHour('Pluto', LONDON, now)).toThrow('Unknown planetary hour ruler');
+  });
+
+  it('should have no hours without a sunrise', () => {
+    expect(getPlanetaryHour(TROMSO, new Date('2025-06-21T12:00:00Z'))).toBeNull();
+    expect(findNextPlanetaryHour('Saturn', TROMSO, new Date('2025-06-21T12:00:00Z'))).toBeNull();
+  });
+
+  it('should be reachable from PlanetarySystem', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-01-18T09:00:00Z'));
+
+    expect(system.getPlanetaryHour(LONDON).ruler).toBe('Jupiter');
+    expect(system.findNextPlanetaryHour('Saturn', LONDON).number).toBe(8);
+  });
+});
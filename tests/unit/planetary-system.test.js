@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  solveKepler,
+  getOrbitalElements,
+  heliocentricPosition
+} from '../../src/lib/astronomy/orbitalElements.js';
+import { julianDay, julianEphemerisDay, julianCenturies, J2000 } from '../../src/lib/astronomy/time.js';
+import { arcminutes } from '../helpers/AstronomyUtils.js';
+
+describe('Orbital Elements', () => {
+  it('should convert dates to Julian Days and centuries', () => {
+    expect(julianDay(new Date('2000-01-01T12:00:00Z'))).toBe(J2000);
+    expect(julianDay(new Date('1970-01-01T00:00:00Z'))).toBe(2440587.5);
+    expect(julianCenturies(J2000 + 36525)).toBe(1);
+  });
+
+  it('should solve Kepler\'s equation for low and high eccentricity', () => {
+    [0, 0.0167, 0.2056, 0.9].forEach(e => {
+      [-3, -1, 0.001, 0.5, 2, 3.1].forEach(M => {
+        const E = solveKepler(M, e);
+        expect(E - e * Math.sin(E)).toBeCloseTo(M, 10);
+      });
+    });
+  });
+
+  it('should advance elements by their per-century rates', () => {
+    const atEpoch = getOrbitalElements('Saturn', 0);
+    const later = getOrbitalElements('Saturn', 1);
+
+    expect(atEpoch.a).toBeCloseTo(9.53667594, 8);
+    expect(later.e).toBeCloseTo(0.05386179 - 0.00050991, 8);
+    expect(atEpoch.omega).toBeCloseTo(92.59887831 - 113.66242448 + 360, 8);
+    expect(getOrbitalElements('Pluto', 0)).toBeNull();
+  });
+
+  // Reference positions from astronomy-engine (VSOP87), J2000 ecliptic
+  it.each([
+    ['Mars', '1850-06-01T00:00:00Z', 163.1171, 1.7126, 1.66428, 2],
+    ['Saturn', '2025-03-21T00:00:00Z', 352.0321, -2.1202, 9.60680, 15],
+    ['Venus', '1969-07-20T20:17:00Z', 3.0516, -3.2587, 0.72637, 1],
+    ['Mercury', '2040-11-05T12:00:00Z', 119.9832, 6.6531, 0.32198, 1],
+    ['Jupiter', '2000-01-01T12:00:00Z', 36.2953, -1.1729, 4.96549, 10]
+  ])('should place %s at %s', (planet, iso, longitude, latitude, distance, tolerance) => {
+    const position = heliocentricPosition(planet, julianEphemerisDay(new Date(iso)));
+
+    expect(arcminutes(position.longitude, longitude)).toBeLessThan(tolerance);
+    expect(Math.abs(position.latitude - latitude) * 60).toBeLessThan(1);
+    expect(Math.abs(position.distance - distance) / distance).toBeLessThan(1e-3);
+    expect(Math.hypot(position.x, position.y, position.z)).toBeCloseTo(position.distance, 12);
+  });
+});
+
+describe('PlanetarySystem', () => {
+  it('should keep the getAllPlanetPositions shape', () => {
+    const system = new PlanetarySystem();
+    const positions = system.getAllPlanetPositions();
+
+    expect(Object.keys(positions)).toEqual([
+      'Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'
+    ]);
+    Object.values(positions).forEach(position => {
+      expect(Number.isFinite(position.x)).toBe(true);
+      expect(Number.isFinite(position.y)).toBe(true);
+      expect(Number.isFinite(position.z)).toBe(true);
+      expect(position.planet.name).toBeTruthy();
+    });
+    expect(positions.Sun).toMatchObject({ x: 0, y: 0, z: 0 });
+  });
+
+  it('should point each planet along its heliocentric longitude', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-21T00:00:00Z'));
+
+    const saturn = system.getPlanetPosition('Saturn');
+    const angle = (Math.atan2(saturn.y, saturn.x) * 180) / Math.PI;
+
+    expect(arcminutes(angle, 352.0321)).toBeLessThan(15);
+    expect(Math.hypot(saturn.x, saturn.y, saturn.z)).toBeCloseTo(10 * 9.6068 / 9.53667594, 1);
+  });
+
+  it('should lift each planet out of the ecliptic by its heliocentric latitude', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-21T00:00:00Z'));
+
+    ['Mercury', 'Saturn', 'Neptune'].forEach(name => {
+      const { x, y, z } = system.getPlanetPosition(name);
+      const latitude = (Math.asin(z / Math.hypot(x, y, z)) * 180) / Math.PI;
+
+      expect(latitude).toBeCloseTo(system.planets[name].heliocentric.latitude, 8);
+    });
+    expect(system.getPlanetPosition('Moon').z).toBeLessThan(0);
+  });
+
+  it('should tilt Mercury\'s orbit by its inclination', () => {
+    const system = new PlanetarySystem();
+    let highest = 0;
+
+    for (let day = 0; day < 88; day++) {
+      system.setTimeAbsolute(9000 + day);
+      const { x, y, z } = system.getPlanetPosition('Mercury');
+      highest = Math.max(highest, (Math.asin(Math.abs(z) / Math.hypot(x, y, z)) * 180) / Math.PI);
+    }
+
+    expect(highest).toBeGreaterThan(6.8);
+    expect(highest).toBeLessThan(7.1);
+  });
+
+  it('should follow time changes exactly rather than accumulating', () => {
+    const a = new PlanetarySystem();
+    const b = new PlanetarySystem();
+    a.setTimeAbsolute(1000);
+    b.setTimeAbsolute(0);
+    for (let i = 0; i < 100; i++) b.updateTime(10);
+
+    expect(b.planets.Mars.currentAngle).toBeCloseTo(a.planets.Mars.currentAngle, 8);
+    expect(b.getDate().getTime()).toBeCloseTo(a.getDate().getTime(), -1);
+  });
+
+  it('should expose real heliocentric coordinates', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('1850-06-01T00:00:00Z'));
+
+    expect(arcminutes(system.getHeliocentricPosition('Mars').longitude, 163.1171)).toBeLessThan(2);
+    expect(system.getHeliocentricPosition('Earth').distance).toBeCloseTo(1.014, 2);
+    expect(system.getHeliocentricPosition('Sun').distance).toBe(0);
+    expect(system.getHeliocentricPosition('Moon')).toBeNull();
+  });
+
+  it('should reset to the J2000 epoch', () => {
+    const system = new PlanetarySystem();
+    system.reset();
+
+    expect(system.currentTime).toBe(0);
+    expect(system.getJulianDay()).toBe(J2000);
+    expect(system.getDate().toISOString()).toBe('2000-01-01T12:00:00.000Z');
+  });
+});
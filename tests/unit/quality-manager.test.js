@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { QualityManager } from '../../src/lib/components/QualityManager.js';
+import { SaturnObject } from '../../src/lib/components/objects/SaturnObject.js';
+import { FlowerOfLife } from '../../src/lib/components/objects/FlowerOfLife.js';
+import { createStore, actions } from '../../src/lib/store.js';
+import { PERFORMANCE } from '../../src/lib/three-core/utils/Constants.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+const budget = {
+  downgradeAbove: 1000 / 45,
+  upgradeBelow: 1000 / 58,
+  sampleSize: 10,
+  cooldown: 1000
+};
+
+// Feed a run of identical frames, advancing the clock as we go
+function feed(manager, frameTime, count, clock) {
+  for (let i = 0; i < count; i++) {
+    clock.time += frameTime;
+    manager.sample(frameTime, clock.time);
+  }
+}
+
+describe('Adaptive Quality Manager', () => {
+  let onChange;
+  let clock;
+  let manager;
+
+  beforeEach(() => {
+    onChange = vi.fn();
+    clock = { time: 0 };
+    manager = new QualityManager({ onChange, budget, now: () => clock.time });
+  });
+
+  it('should stay in quality mode while frames are fast', () => {
+    feed(manager, 16, 50, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.QUALITY);
+    expect(onChange).not.toHaveBeenCalled();
+  });
+
+  it('should step down one mode at a time when frames are slow', () => {
+    feed(manager, 40, 10, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.BALANCED);
+
+    // Cooldown prevents an immediate second step
+    feed(manager, 40, 10, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.BALANCED);
+
+    clock.time += 1000;
+    feed(manager, 40, 10, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.PERFORMANCE);
+    expect(onChange.mock.calls).toEqual([
+      [PERFORMANCE.MODES.BALANCED],
+      [PERFORMANCE.MODES.PERFORMANCE]
+    ]);
+  });
+
+  it('should step back up when frames recover', () => {
+    manager.setMode(PERFORMANCE.MODES.PERFORMANCE);
+    feed(manager, 10, 10, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.BALANCED);
+  });
+
+  it('should not react to frames in the hysteresis band', () => {
+    feed(manager, 20, 30, clock);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.QUALITY);
+  });
+
+  it('should ignore pauses like tab switches', () => {
+    feed(manager, 16, 9, clock);
+    manager.sample(5000, clock.time += 5000);
+    expect(manager.getAverageFrameTime()).toBe(16);
+  });
+
+  it('should derive frame times from timestamps', () => {
+    manager.frame(0);
+    for (let t = 50; t <= 500; t += 50) manager.frame(t);
+    expect(manager.mode).toBe(PERFORMANCE.MODES.BALANCED);
+  });
+
+  it('should back off from an upgrade that keeps failing', () => {
+    // 40fps in quality, vsync-capped at 60fps in balanced
+    const frameTime = () => (manager.mode === PERFORMANCE.MODES.QUALITY ? 25 : 1000 / 60);
+    const upgrades = [];
+    manager = new QualityManager({
+      budget: { ...budget, maxBackoff: 16000 },
+      onChange: (mode) => {
+        if (mode === PERFORMANCE.MODES.QUALITY) upgrades.push(clock.time);
+      }
+    });
+
+    while (clock.time < 120000) {
+      feed(manager, frameTime(), 1, clock);
+    }
+
+    const gaps = upgrades.slice(1).map((time, i) => time - upgrades[i]);
+    expect(upgrades.length).toBeGreaterThan(2);
+    expect(upgrades.length).toBeLessThan(12);
+    // Each retry waits at least as long as the last, give or take a frame
+    gaps.slice(1).forEach((gap, i) => expect(gap).toBeGreaterThan(gaps[i] - 25));
+    // Capped, so a device that speeds up still gets its quality back
+    expect(Math.max(...gaps)).toBeLessThan(16000 + 2 * budget.cooldown);
+  });
+
+  it('should switch modes through the store', () => {
+    const store = createStore({ persistence: createMemoryPersistence() });
+    manager = new QualityManager({
+      budget,
+      onChange: (mode) => store.dispatch(actions.setPerformanceMode(mode))
+    });
+
+    feed(manager, 40, 10, clock);
+    expect(store.getState().performanceMode).toBe(PERFORMANCE.MODES.BALANCED);
+  });
+});
+
+describe('Geometry Detail by Performance Mode', () => {
+  let scene;
+
+  beforeEach(() => {
+    scene = new THREE.Scene();
+  });
+
+  it('should rebuild Saturn with fewer segments', () => {
+    const saturnObject = new SaturnObject(scene);
+    saturnObject.create();
+    expect(saturnObject.saturn.geometry.parameters.widthSegments).toBe(32);
+    expect(saturnObject.saturn.geometry.parameters.heightSegments).toBe(24);
+
+    saturnObject.show();
+    saturnObject.setPerformanceMode(PERFORMANCE.MODES.PERFORMANCE);
+
+    expect(saturnObject.saturn.geometry.parameters.widthSegments).toBe(8);
+    expect(saturnObject.saturnRings.visible).toBe(true);
+    expect(scene.children.filter(child => child.type === 'Group')).toHaveLength(1);
+
+    const ring = saturnObject.saturnRings.children.find(child => child.geometry.type === 'RingGeometry');
+    expect(ring.geometry.parameters.thetaSegments).toBe(16);
+  });
+
+  it('should rebuild flower circles without losing click state', () => {
+    const flower = new FlowerOfLife(scene);
+    flower.create();
+    flower.metatronClicks = [0, 1];
+
+    const circle = flower.nodeMap.get(3).circle;
+    expect(circle.geometry.parameters.tubularSegments).toBe(64);
+
+    flower.setPerformanceMode(PERFORMANCE.MODES.BALANCED);
+    expect(flower.nodeMap.get(3).circle).toBe(circle);
+    expect(circle.geometry.parameters.tubularSegments).toBe(32);
+    expect(flower.metatronClicks).toEqual([0, 1]);
+  });
+});
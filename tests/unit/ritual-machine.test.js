@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createStore, actions, ACTION_TYPES } from '../../src/lib/store.js';
+import { STAGES, TRANSITIONS, checkTransition, isStageUnlocked, availableStages } from '../../src/lib/ritualMachine.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+const lockedState = {
+  stage: STAGES.CUBE,
+  magicMode: false,
+  cubeSecretUnlocked: false,
+  saturnSecretUnlocked: false,
+  trinitySecretUnlocked: false
+};
+
+describe('Ritual State Machine', () => {
+  describe('checkTransition', () => {
+    it('should refuse stages whose secret is locked', () => {
+      const result = checkTransition(lockedState, STAGES.SATURN);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toMatch(/locked/);
+    });
+
+    it('should allow the next stage once its secret is unlocked', () => {
+      const state = { ...lockedState, cubeSecretUnlocked: true };
+      expect(checkTransition(state, STAGES.SATURN).allowed).toBe(true);
+    });
+
+    it('should refuse skipping ahead even when unlocked', () => {
+      const state = {
+        ...lockedState,
+        cubeSecretUnlocked: true,
+        saturnSecretUnlocked: true,
+        trinitySecretUnlocked: true
+      };
+      const result = checkTransition(state, STAGES.FLOWER);
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toMatch(/cannot move/);
+    });
+
+    it('should allow returning to earlier stages', () => {
+      const state = { ...lockedState, stage: STAGES.FLOWER, cubeSecretUnlocked: true };
+      expect(checkTransition(state, STAGES.CUBE).allowed).toBe(true);
+      expect(checkTransition(state, STAGES.SATURN).allowed).toBe(true);
+    });
+
+    it('should let magic mode go anywhere', () => {
+      const state = { ...lockedState, magicMode: true };
+      Object.values(STAGES).forEach(stage => {
+        expect(checkTransition(state, stage).allowed).toBe(true);
+      });
+    });
+
+    it('should reject unknown stages even in magic mode', () => {
+      expect(checkTransition({ ...lockedState, magicMode: true }, 'abyss').allowed).toBe(false);
+    });
+
+    it('should define transitions for every stage', () => {
+      Object.values(STAGES).forEach(stage => {
+        expect(Array.isArray(TRANSITIONS[stage])).toBe(true);
+      });
+    });
+
+    it('should report whether a stage could be shown at all', () => {
+      expect(isStageUnlocked(lockedState, STAGES.CUBE)).toBe(true);
+      expect(isStageUnlocked(lockedState, STAGES.TRIANGLE)).toBe(false);
+      expect(isStageUnlocked({ ...lockedState, saturnSecretUnlocked: true }, STAGES.TRIANGLE)).toBe(true);
+    });
+
+    it('should offer only the stages reachable from here', () => {
+      // A returning visitor with every secret unlocked, back at the cube
+      const unlocked = {
+        ...lockedState,
+        cubeSecretUnlocked: true,
+        saturnSecretUnlocked: true,
+        trinitySecretUnlocked: true
+      };
+
+      expect(availableStages(unlocked)).toEqual([STAGES.CUBE, STAGES.SATURN]);
+      expect(availableStages({ ...unlocked, stage: STAGES.SATURN })).toEqual([STAGES.CUBE, STAGES.SATURN, STAGES.TRIANGLE]);
+      expect(availableStages({ ...unlocked, stage: STAGES.TRIANGLE })).toEqual(Object.values(STAGES));
+      expect(availableStages({ ...lockedState, magicMode: true })).toEqual(Object.values(STAGES));
+    });
+  });
+
+  describe('Store Integration', () => {
+    let store;
+
+    beforeEach(() => {
+      store = createStore({ persistence: createMemoryPersistence() });
+    });
+
+    it('should start at the cube', () => {
+      expect(store.getState().stage).toBe(STAGES.CUBE);
+    });
+
+    it('should reject showFlower before trinity and record why', () => {
+      store.dispatch(actions.showFlower());
+
+      const state = store.getState();
+      expect(state.stage).toBe(STAGES.CUBE);
+      expect(state.lastRejection).toMatchObject({
+        action: ACTION_TYPES.SHOW_FLOWER,
+        from: STAGES.CUBE,
+        to: STAGES.FLOWER
+      });
+    });
+
+    it('should walk the full ritual in order', () => {
+      store.dispatch(actions.unlockCubeSecret());
+      store.dispatch(actions.showSaturn());
+      store.dispatch(actions.unlockSaturnSecret());
+      store.dispatch(actions.showTriangle());
+      store.dispatch(actions.unlockTrinitySecret());
+      store.dispatch(actions.showFlower());
+
+      expect(store.getState().stage).toBe(STAGES.FLOWER);
+      expect(store.getState().lastRejection).toBeNull();
+    });
+
+    it('should honour magic mode from the store', () => {
+      store.dispatch(actions.setMagicMode(true));
+      store.dispatch(actions.showFlower());
+      expect(store.getState().stage).toBe(STAGES.FLOWER);
+    });
+
+    it('should keep triangle interaction away from the cube', () => {
+      store.dispatch(actions.unlockCubeSecret());
+      store.dispatch(actions.showSaturn());
+      store.dispatch(actions.unlockSaturnSecret());
+      store.dispatch(actions.showTriangle());
+
+      expect(store.getState().stage).toBe(STAGES.TRIANGLE);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import { birthInstant, findSaturnReturns, findSaturnCrossings } from '../../src/lib/astronomy/saturnReturn.js';
+import { julianEphemerisDay } from '../../src/lib/astronomy/time.js';
+import { daysBetween } from '../helpers/AstronomyUtils.js';
+
+describe('Birth Instant', () => {
+  it('should apply the time zone offset in force at birth', () => {
+    expect(birthInstant({ date: '1990-01-15', time: '12:00', place: { timeZone: 'Europe/London' } }).toISOString())
+      .toBe('1990-01-15T12:00:00.000Z');
+    expect(birthInstant({ date: '1990-07-15', time: '12:00', place: { timeZone: 'Europe/London' } }).toISOString())
+      .toBe('1990-07-15T11:00:00.000Z');
+    expect(birthInstant({ date: '1975-06-01', time: '08:30', place: { timeZone: 'America/New_York' } }).toISOString())
+      .toBe('1975-06-01T12:30:00.000Z');
+  });
+
+  it('should fall back to local mean time from the longitude', () => {
+    expect(birthInstant({ date: '1960-03-10', time: '23:15', place: { longitude: 15 } }).toISOString())
+      .toBe('1960-03-10T22:15:00.000Z');
+    expect(birthInstant({ date: '1960-03-10' }).toISOString()).toBe('1960-03-10T12:00:00.000Z');
+  });
+
+  it('should reject malformed input', () => {
+    expect(() => birthInstant({ date: '10/03/1960' })).toThrow('Invalid birth');
+    expect(() => birthInstant({ date: '1960-03-10', time: 'noon' })).toThrow('Invalid birth');
+  });
+});
+
+describe('Saturn Returns', () => {
+  // Reference passes from astronomy-engine apparent longitudes
+  const result = findSaturnReturns({ date: '1990-01-15', time: '12:00', place: { timeZone: 'Europe/London' } });
+
+  it('should place natal Saturn', () => {
+    expect(result.natal.sign).toBe('Capricorn');
+    expect(result.natal.longitude).toBeCloseTo(287.314, 0);
+  });
+
+  it('should find three returns with every retrograde pass', () => {
+    expect(result.returns.map(r => r.number)).toEqual([1, 2, 3]);
+
+    const [first, second] = result.returns;
+    expect(first.passes.map(pass => pass.retrograde)).toEqual([false, true, false]);
+    expect(daysBetween(first.passes[0].date, new Date('2019-02-24T05:39:00Z'))).toBeLessThan(3);
+    expect(daysBetween(first.passes[1].date, new Date('2019-07-08T08:50:00Z'))).toBeLessThan(3);
+    expect(daysBetween(first.passes[2].date, new Date('2019-11-24T03:01:00Z'))).toBeLessThan(3);
+    expect(first.first).toBe(first.passes[0].date);
+    expect(first.last).toBe(first.passes[2].date);
+
+    expect(second.passes).toHaveLength(1);
+    expect(daysBetween(second.first, new Date('2048-12-30T10:37:00Z'))).toBeLessThan(3);
+  });
+
+  it('should only search as many returns as asked', () => {
+    const single = findSaturnReturns({ date: '1990-01-15' }, { count: 1 });
+    expect(single.returns).toHaveLength(1);
+  });
+
+  it('should cross a longitude once per pass', () => {
+    const crossings = findSaturnCrossings(
+      result.natal.longitude,
+      julianEphemerisDay(new Date('2018-06-01T00:00:00Z')),
+      julianEphemerisDay(new Date('2020-06-01T00:00:00Z'))
+    );
+    expect(crossings).toHaveLength(3);
+  });
+
+  it('should be reachable from PlanetarySystem', () => {
+    const system = new PlanetarySystem();
+    const fromSystem = system.findSaturnReturns({ date: '1990-01-15', place: { timeZone: 'UTC' } }, { count: 1 });
+    expect(fromSystem.returns[0].passes).toHaveLength(3);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
+import { getSecretConfig } from '../../src/lib/secretConfig.js';
+import { FlowerOfLife } from '../../src/lib/components/objects/FlowerOfLife.js';
+import { SaturnObject } from '../../src/lib/components/objects/SaturnObject.js';
+import { TriangleObject } from '../../src/lib/components/objects/TriangleObject.js';
+
+describe('Secret Config Registry', () => {
+  it('should decrypt every threshold from the encrypted store', () => {
+    const config = getSecretConfig();
+
+    expect(config.cube.revealAngle).toBe(0.615);
+    expect(config.cube.holdTime).toBe(2);
+    expect(config.saturn.targetX).toBeCloseTo(Math.PI * 0.666, 12);
+    expect(config.saturn.targetY).toBeCloseTo(Math.PI * 1.333, 12);
+    expect(config.saturn.tolerance).toBe(0.05);
+    expect(config.saturn.minAlignment).toBe(0.95);
+    expect(config.saturn.timingDigit).toBe('6');
+    expect(config.triangle.breathWindow).toEqual({ start: 1.3, end: 1.7 });
+    expect(config.flower.fruitOfLifeOrder).toEqual([0, 1, 3, 5, 2, 4, 6, 7, 9, 11, 8, 10, 12]);
+  });
+
+  it('should return the same frozen config every time', () => {
+    const config = getSecretConfig();
+
+    expect(getSecretConfig()).toBe(config);
+    expect(Object.isFrozen(config.saturn)).toBe(true);
+    expect(() => { config.flower.fruitOfLifeOrder.push(13); }).toThrow();
+  });
+
+  it('should give the flower its order from the registry', () => {
+    const flower = new FlowerOfLife(new THREE.Scene());
+    expect(flower.FRUIT_OF_LIFE_ORDER).toBe(getSecretConfig().flower.fruitOfLifeOrder);
+  });
+
+  it('should check Saturn against the registry angles', () => {
+    const saturnObject = new SaturnObject(new THREE.Scene());
+    saturnObject.create();
+    const { targetX, targetY, tolerance } = getSecretConfig().saturn;
+
+    saturnObject.saturn.rotation.set(targetX, targetY, 0);
+    expect(saturnObject.checkRotationSecret(false)).toBe(true);
+    expect(saturnObject.checkRotationSecret(true)).toBe(false);
+
+    saturnObject.saturn.rotation.set(targetX + tolerance, targetY, 0);
+    expect(saturnObject.checkRotationSecret(false)).toBe(false);
+  });
+
+  it('should count Saturn clicks on seconds holding the registry digit', () => {
+    const saturnObject = new SaturnObject(new THREE.Scene());
+    const at = (seconds) => new Date(2025, 0, 1, 12, 0, seconds);
+
+    saturnObject.checkTimingSecret(at(16));
+    expect(saturnObject.saturnCounter).toBe(1);
+    expect(saturnObject.shouldShowProgress(at(36))).toBe(true);
+
+    saturnObject.checkTimingSecret(at(10));
+    expect(saturnObject.saturnCounter).toBe(0);
+  });
+
+  describe('triangle breath window', () => {
+    beforeEach(() => vi.useFakeTimers());
+    afterEach(() => vi.useRealTimers());
+
+    it('should accept clicks only inside the registry window', () => {
+      const triangleObject = new TriangleObject(new THREE.Scene());
+      triangleObject.create();
+      triangleObject.updateBreath();
+      const { start, end } = getSecretConfig().triangle.breathWindow;
+
+      vi.advanceTimersByTime((start - 0.05) * 1000);
+      triangleObject.checkBreathClick();
+      expect(triangleObject.breathCounter).toBe(0);
+
+      vi.advanceTimersByTime(((start + end) / 2 - start + 0.05) * 1000);
+      triangleObject.checkBreathClick();
+      expect(triangleObject.breathCounter).toBe(1);
+    });
+  });
+});
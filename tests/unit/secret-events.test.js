@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createStore, actions } from '../../src/lib/store.js';
+import { createManualClock } from '../../src/lib/recorder.js';
+import { createSecretEventBridge, SECRET_EVENTS, MESSAGE_SOURCE } from '../../src/lib/secretEvents.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+describe('Secret Event Bridge', () => {
+  let clock;
+  let store;
+  let target;
+  let onEvent;
+
+  beforeEach(() => {
+    clock = createManualClock(1_000_000);
+    store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+    target = new EventTarget();
+    onEvent = vi.fn();
+    store.use(createSecretEventBridge({ target, onEvent, postToParent: false, now: clock.now }));
+  });
+
+  it('should dispatch a DOM event when a secret unlocks', () => {
+    const listener = vi.fn();
+    target.addEventListener(SECRET_EVENTS.SECRET_UNLOCKED, listener);
+
+    clock.advance(4200);
+    store.dispatch(actions.unlockCubeSecret());
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail).toEqual({
+      secret: 'cube',
+      stage: 'cube',
+      unlockedAt: 1_004_200,
+      timestamp: 1_004_200,
+      sessionTime: 4200,
+      stageTime: 4200
+    });
+  });
+
+  it('should fire once per secret however often it is unlocked', () => {
+    store.dispatch(actions.unlockCubeSecret());
+    store.dispatch(actions.unlockCubeSecret());
+    store.dispatch(actions.unlockCubeSecret());
+
+    const unlocks = onEvent.mock.calls.filter(([type]) => type === SECRET_EVENTS.SECRET_UNLOCKED);
+    expect(unlocks).toHaveLength(1);
+  });
+
+  it('should announce stage changes with time spent in the previous stage', () => {
+    store.dispatch(actions.unlockCubeSecret());
+    clock.advance(3000);
+    store.dispatch(actions.showSaturn());
+    clock.advance(2000);
+    store.dispatch(actions.showCube());
+
+    const changes = onEvent.mock.calls
+      .filter(([type]) => type === SECRET_EVENTS.STAGE_CHANGED)
+      .map(([, detail]) => detail);
+
+    expect(changes).toHaveLength(2);
+    expect(changes[0]).toMatchObject({ from: 'cube', to: 'saturn', stageTime: 3000, sessionTime: 3000 });
+    expect(changes[1]).toMatchObject({ from: 'saturn', to: 'cube', stageTime: 2000, sessionTime: 5000 });
+  });
+
+  it('should announce secrets restored from a share code', () => {
+    store.dispatch(actions.restoreProgress({
+      unlocked: { cube: true, saturn: true, trinity: false },
+      unlockedAt: { cube: 500_000, saturn: 600_000 }
+    }));
+
+    const unlocks = onEvent.mock.calls
+      .filter(([type]) => type === SECRET_EVENTS.SECRET_UNLOCKED)
+      .map(([, detail]) => detail);
+
+    expect(unlocks.map(detail => detail.secret)).toEqual(['cube', 'saturn']);
+    expect(unlocks.map(detail => detail.unlockedAt)).toEqual([500_000, 600_000]);
+  });
+
+  it('should announce only secrets newly unlocked by another tab', () => {
+    store.dispatch(actions.unlockCubeSecret());
+    onEvent.mockClear();
+
+    const progress = { unlocked: { cube: true, saturn: true }, unlockedAt: { cube: 900_000, saturn: 950_000 }, stage: null };
+    store.dispatch(actions.syncProgress(progress));
+    store.dispatch(actions.syncProgress(progress));
+
+    const unlocks = onEvent.mock.calls.filter(([type]) => type === SECRET_EVENTS.SECRET_UNLOCKED);
+    expect(unlocks.map(([, detail]) => detail.secret)).toEqual(['saturn']);
+  });
+
+  it('should stay quiet for rejected transitions and ordinary input', () => {
+    store.dispatch(actions.showFlower());
+    store.dispatch(actions.updateMousePosition(0.1, 0.1));
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should survive a throwing host callback', () => {
+    const bridgeStore = createStore({ persistence: createMemoryPersistence() });
+    bridgeStore.use(createSecretEventBridge({
+      target: null,
+      postToParent: false,
+      onEvent: () => { throw new Error('host bug'); }
+    }));
+
+    expect(() => bridgeStore.dispatch(actions.unlockCubeSecret())).not.toThrow();
+    expect(bridgeStore.getState().cubeSecretUnlocked).toBe(true);
+  });
+
+  describe('when framed', () => {
+    let originalParent;
+    let postMessage;
+
+    beforeEach(() => {
+      originalParent = Object.getOwnPropertyDescriptor(window, 'parent');
+      postMessage = vi.fn();
+      Object.defineProperty(window, 'parent', { configurable: true, value: { postMessage } });
+    });
+
+    afterEach(() => {
+      if (originalParent) Object.defineProperty(window, 'parent', originalParent);
+    });
+
+    it('should post messages to the parent window', () => {
+      const framedStore = createStore({ persistence: createMemoryPersistence() });
+      framedStore.use(createSecretEventBridge({ target: null, targetOrigin: 'https://host.example' }));
+
+      framedStore.dispatch(actions.unlockSaturnSecret());
+
+      expect(postMessage).toHaveBeenCalledTimes(1);
+      const [message, origin] = postMessage.mock.calls[0];
+      expect(origin).toBe('https://host.example');
+      expect(message.source).toBe(MESSAGE_SOURCE);
+      expect(message.type).toBe(SECRET_EVENTS.SECRET_UNLOCKED);
+      expect(message.detail.secret).toBe('saturn');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { resolve, join } from 'path';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import secretsPlugin, {
+  createKey,
+  encrypt,
+  decrypt,
+  generateModule,
+  loadManifest,
+  DEFAULT_MANIFEST,
+  VIRTUAL_ID
+} from '../../scripts/vite-plugin-secrets.js';
+import { S, g, gn, ga, d } from '../../src/lib/crypto.js';
+
+describe('Secrets Plugin', () => {
+  it('should generate keys without zero bytes', () => {
+    for (let i = 0; i < 20; i++) {
+      const key = createKey();
+      expect(key).toHaveLength(16);
+      expect(key.every(byte => byte >= 1 && byte <= 255)).toBe(true);
+    }
+  });
+
+  it('should round-trip text through a repeating key', () => {
+    const key = [7, 200, 33];
+    const text = 'Drag to rotate • Tap to release';
+    const encrypted = encrypt(text, key);
+
+    expect(encrypted).not.toEqual(Array.from(text, char => char.charCodeAt(0)));
+    expect(decrypt(encrypted, key)).toBe(text);
+    expect(d(encrypted, key)).toBe(text);
+  });
+
+  it('should emit a module with no plaintext values', () => {
+    const source = generateModule({ MAGIC: { value: 'abracadabra', type: 'string' } }, [1, 2, 3]);
+
+    expect(source).toContain('export const K = [1,2,3];');
+    expect(source).toContain(`MAGIC: [${encrypt('abracadabra', [1, 2, 3]).join(',')}]`);
+    expect(source).not.toContain('abracadabra');
+  });
+
+  it('should serve the virtual module from the manifest', async () => {
+    const plugin = secretsPlugin({ key: [9, 8, 7] });
+    plugin.configResolved({ root: resolve('.') });
+
+    const id = plugin.resolveId(VIRTUAL_ID);
+    const source = await plugin.load.call({ addWatchFile: () => {} }, id);
+
+    expect(plugin.resolveId('./other.js')).toBeNull();
+    expect(source).toContain('export const K = [9,8,7];');
+    expect(source).toContain('SHARE_KEY: [');
+  });
+
+  it('should reject malformed manifest entries', async () => {
+    const dir = mkdtempSync(resolve('node_modules/.secrets-'));
+    const file = join(dir, 'manifest.js');
+
+    writeFileSync(file, 'export default { X: { value: 1 } };');
+    await expect(loadManifest(file)).rejects.toThrow('Secret X needs a string value');
+
+    writeFileSync(file, "export default { X: { value: '1', type: 'date' } };");
+    await expect(loadManifest(file, true)).rejects.toThrow('Secret X has unknown type date');
+
+    rmSync(dir, { recursive: true });
+  });
+
+  it('should decrypt every manifest value through crypto.js', async () => {
+    const manifest = await loadManifest(resolve(DEFAULT_MANIFEST));
+
+    Object.entries(manifest).forEach(([name, { value }]) => {
+      expect(g(name)).toBe(value);
+    });
+    expect(Object.keys(S)).toEqual(Object.keys(manifest));
+    expect(gn('BEAST')).toBe(666);
+    expect(ga('SACRED_SEQ')).toEqual([0, 1, 3, 5, 2, 4, 6, 7, 9, 11, 8, 10, 12]);
+  });
+});
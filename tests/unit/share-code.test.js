@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStore, actions } from '../../src/lib/store.js';
+import { createManualClock } from '../../src/lib/recorder.js';
+import {
+  createShareCode,
+  readShareCode,
+  extractShareCode,
+  getShareUrl,
+  isShareCodeSupported
+} from '../../src/lib/shareCode.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+// Decode, flip one bit at a byte offset, re-encode
+function tamper(code, offset) {
+  const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+  const bytes = Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+  bytes[offset] ^= 1;
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+describe('Progress Share Codes', () => {
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    clock = createManualClock(Date.UTC(2025, 5, 21, 12, 0, 0));
+    store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+  });
+
+  it('should record when each secret was first unlocked', () => {
+    store.dispatch(actions.unlockCubeSecret());
+    clock.advance(60_000);
+    store.dispatch(actions.unlockCubeSecret());
+
+    expect(store.getState().unlockedAt.cube).toBe(Date.UTC(2025, 5, 21, 12, 0, 0));
+    expect(store.getState().unlockedAt.saturn).toBeNull();
+  });
+
+  it('should round-trip flags and unlock times', async () => {
+    store.dispatch(actions.unlockCubeSecret());
+    clock.advance(90_000);
+    store.dispatch(actions.unlockSaturnSecret());
+
+    const code = await createShareCode(store.getState());
+    expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(code.length).toBeLessThan(40);
+
+    const progress = await readShareCode(code);
+    expect(progress.unlocked).toEqual({ cube: true, saturn: true, trinity: false });
+    expect(progress.unlockedAt.cube).toBe(Date.UTC(2025, 5, 21, 12, 0, 0));
+    expect(progress.unlockedAt.saturn).toBe(Date.UTC(2025, 5, 21, 12, 1, 30));
+    expect(progress.unlockedAt.trinity).toBeNull();
+  });
+
+  it('should reject codes whose payload was edited', async () => {
+    store.dispatch(actions.unlockCubeSecret());
+    const code = await createShareCode(store.getState());
+
+    // Flip the saturn bit in the flags byte
+    expect(await readShareCode(tamper(code, 1))).toBeNull();
+  });
+
+  it('should reject codes whose signature was edited', async () => {
+    store.dispatch(actions.unlockCubeSecret());
+    const code = await createShareCode(store.getState());
+
+    expect(await readShareCode(tamper(code, 8))).toBeNull();
+  });
+
+  it('should reject garbage', async () => {
+    expect(await readShareCode('')).toBeNull();
+    expect(await readShareCode('not a code!')).toBeNull();
+    expect(await readShareCode('AQ')).toBeNull();
+  });
+
+  it('should accept a pasted share link', async () => {
+    store.dispatch(actions.unlockCubeSecret());
+    const code = await createShareCode(store.getState());
+    const url = getShareUrl(code, new URL('https://tahini.site/?magic_word=x#top'));
+
+    expect(url).toBe(`https://tahini.site/?progress=${code}`);
+    expect(extractShareCode(url)).toBe(code);
+    expect((await readShareCode(url)).unlocked.cube).toBe(true);
+  });
+
+  it('should restore progress on another device without losing local unlocks', async () => {
+    store.dispatch(actions.unlockCubeSecret());
+    store.dispatch(actions.showSaturn());
+    store.dispatch(actions.unlockSaturnSecret());
+    const code = await createShareCode(store.getState());
+
+    const otherClock = createManualClock(Date.UTC(2025, 5, 22));
+    const other = createStore({ now: otherClock.now, persistence: createMemoryPersistence() });
+    other.dispatch(actions.unlockCubeSecret());
+
+    other.dispatch(actions.restoreProgress(await readShareCode(code)));
+
+    const state = other.getState();
+    expect(state.cubeSecretUnlocked).toBe(true);
+    expect(state.saturnSecretUnlocked).toBe(true);
+    expect(state.trinitySecretUnlocked).toBe(false);
+    // Earliest unlock wins
+    expect(state.unlockedAt.cube).toBe(Date.UTC(2025, 5, 21, 12, 0, 0));
+  });
+
+  it('should report when crypto.subtle is missing', () => {
+    expect(isShareCodeSupported()).toBe(true);
+
+    // Plain http outside localhost
+    vi.stubGlobal('crypto', {});
+    expect(isShareCodeSupported()).toBe(false);
+    vi.unstubAllGlobals();
+  });
+
+  it('should try the key again after a failed import', async () => {
+    vi.resetModules();
+    const fresh = await import('../../src/lib/shareCode.js');
+    const importKey = vi.spyOn(crypto.subtle, 'importKey').mockRejectedValueOnce(new Error('blocked'));
+    store.dispatch(actions.unlockCubeSecret());
+
+    await expect(fresh.createShareCode(store.getState())).rejects.toThrow('blocked');
+    const code = await fresh.createShareCode(store.getState());
+    expect((await fresh.readShareCode(code)).unlocked.cube).toBe(true);
+    importKey.mockRestore();
+  });
+});
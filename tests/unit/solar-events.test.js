@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import { getSolarEvents, localDay, SOLAR_EVENTS } from '../../src/lib/astronomy/sunrise.js';
+import { zonedParts, zonedTimeToDate, timeZoneOffset, formatZonedTime } from '../../src/lib/astronomy/timeZone.js';
+import { CITIES, findCity, searchCities, nearestCity } from '../../src/lib/gazetteer.js';
+import { secondsBetween } from '../helpers/AstronomyUtils.js';
+
+const LONDON = findCity('London');
+const NEW_YORK = findCity('New York');
+const SYDNEY = findCity('Sydney');
+const TROMSO = findCity('Tromsø');
+
+describe('Time Zones', () => {
+  it('should read the wall clock in a zone', () => {
+    const parts = zonedParts(new Date('2025-07-01T12:00:00Z'), 'Europe/London');
+
+    expect(parts).toMatchObject({ year: 2025, month: 7, day: 1, hour: 13, minute: 0, weekday: 2 });
+  });
+
+  it('should follow daylight saving in the offset', () => {
+    expect(timeZoneOffset(new Date('2025-01-15T12:00:00Z'), 'America/New_York')).toBe(-5 * 3600000);
+    expect(timeZoneOffset(new Date('2025-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * 3600000);
+  });
+
+  it('should round-trip a wall-clock time', () => {
+    const date = zonedTimeToDate({ year: 2025, month: 4, day: 6, hour: 18, minute: 30 }, 'Australia/Sydney');
+
+    expect(date.toISOString()).toBe('2025-04-06T08:30:00.000Z');
+    expect(formatZonedTime(date, 'Australia/Sydney')).toBe('18:30');
+  });
+
+  it('should move a time skipped by the clocks going forward an hour later', () => {
+    // 02:30 doesn't exist in New York on 2025-03-09
+    const date = zonedTimeToDate({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, 'America/New_York');
+
+    expect(formatZonedTime(date, 'America/New_York')).toBe('03:30');
+  });
+});
+
+describe('Local Days', () => {
+  it('should label the day in the place\'s zone rather than UTC', () => {
+    // Already the 16th in Sydney
+    expect(localDay(new Date('2025-01-15T20:00:00Z'), SYDNEY).label).toBe('2025-01-16');
+    expect(localDay(new Date('2025-01-15T20:00:00Z'), LONDON).label).toBe('2025-01-15');
+  });
+
+  it('should give daylight saving days 23 and 25 hours', () => {
+    const spring = localDay(new Date('2025-03-09T17:00:00Z'), NEW_YORK);
+    const autumn = localDay(new Date('2025-04-06T02:00:00Z'), SYDNEY);
+
+    expect((spring.end - spring.start) / 3600000).toBe(23);
+    expect((autumn.end - autumn.start) / 3600000).toBe(25);
+  });
+
+  it('should fall back to local mean time without a zone', () => {
+    const day = localDay(new Date('2025-01-15T20:00:00Z'), { longitude: 150 });
+
+    expect(day.label).toBe('2025-01-16');
+    expect(day.start.toISOString()).toBe('2025-01-15T14:00:00.000Z');
+  });
+});
+
+describe('Solar Events', () => {
+  // References from astronomy-engine SearchAltitude and SearchRiseSet
+  it.each([
+    ['astronomicalDawn', LONDON, '2025-01-15T12:00:00Z', '2025-01-15T05:59:01Z'],
+    ['civilDawn', LONDON, '2025-01-15T12:00:00Z', '2025-01-15T07:20:48Z'],
+    ['nauticalDusk', LONDON, '2025-01-15T12:00:00Z', '2025-01-15T17:41:28Z'],
+    ['sunrise', NEW_YORK, '2025-03-09T17:00:00Z', '2025-03-09T11:16:54Z'],
+    ['civilDusk', SYDNEY, '2025-04-06T02:00:00Z', '2025-04-06T08:08:47Z']
+  ])('should find %s in %s', (name, location, iso, expected) => {
+    const events = getSolarEvents(new Date(iso), location);
+
+    expect(secondsBetween(events[name], new Date(expected))).toBeLessThan(30);
+  });
+
+  it('should put the events of a day in order', () => {
+    const events = getSolarEvents(new Date('2025-01-15T12:00:00Z'), LONDON);
+    const times = SOLAR_EVENTS.map(([name]) => events[name].getTime());
+
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+  });
+
+  it('should give local clock times in the place\'s zone', () => {
+    const events = getSolarEvents(new Date('2025-03-09T17:00:00Z'), NEW_YORK);
+
+    expect(events.date).toBe('2025-03-09');
+    expect(events.timeZone).toBe('America/New_York');
+    // Daylight saving started overnight
+    expect(events.local.sunrise).toBe('07:16');
+  });
+
+  it('should leave out twilight that never ends on a summer night', () => {
+    const events = getSolarEvents(new Date('2025-06-21T12:00:00Z'), LONDON);
+
+    expect(events.astronomicalDawn).toBeNull();
+    expect(events.astronomicalDusk).toBeNull();
+    expect(events.local.astronomicalDawn).toBeNull();
+    expect(events.nauticalDawn).toBeInstanceOf(Date);
+  });
+
+  it('should find twilight without sunrise in the polar night', () => {
+    const events = getSolarEvents(new Date('2025-12-21T11:00:00Z'), TROMSO);
+
+    expect(events.sunrise).toBeNull();
+    expect(events.sunset).toBeNull();
+    expect(events.civilDawn).toBeInstanceOf(Date);
+    expect(events.civilDusk).toBeInstanceOf(Date);
+  });
+
+  it('should be reachable from the planetary system', () => {
+    const system = new PlanetarySystem();
+    const date = new Date('2025-01-15T12:00:00Z');
+
+    expect(system.getSolarEvents(LONDON, date)).toEqual(getSolarEvents(date, LONDON));
+  });
+});
+
+describe('Gazetteer', () => {
+  it('should give every city coordinates and a usable zone', () => {
+    CITIES.forEach(city => {
+      expect(Math.abs(city.latitude)).toBeLessThanOrEqual(90);
+      expect(Math.abs(city.longitude)).toBeLessThanOrEqual(180);
+      expect(() => formatZonedTime(new Date(), city.timeZone)).not.toThrow();
+    });
+  });
+
+  it('should find a city ignoring case and accents', () => {
+    expect(findCity('zurich')?.name).toBe('Zürich');
+    expect(findCity('SAO PAULO')?.timeZone).toBe('America/Sao_Paulo');
+    expect(findCity('Atlantis')).toBeNull();
+  });
+
+  it('should list names starting with the search first', () => {
+    const names = searchCities('san').map(city => city.name);
+
+    expect(names.slice(0, 2)).toEqual(['San Francisco', 'Santiago']);
+    expect(searchCities('to').map(city => city.name)).toEqual(['Tokyo', 'Toronto', 'Boston', 'Cape Town', 'Stockholm', 'Wellington']);
+    expect(searchCities('  ')).toEqual([]);
+  });
+
+  it('should find the nearest city', () => {
+    const { city, distance } = nearestCity({ latitude: 51.75, longitude: -1.26 });
+
+    expect(city.name).toBe('London');
+    expect(distance).toBeGreaterThan(70);
+    expect(distance).toBeLessThan(90);
+  });
+});
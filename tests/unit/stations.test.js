@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  isRetrograde,
+  findStation,
+  findStations,
+  longitudeSpeed,
+  STATION_TYPES
+} from '../../src/lib/astronomy/stations.js';
+import { julianEphemerisDay } from '../../src/lib/astronomy/time.js';
+import { hoursBetween } from '../helpers/AstronomyUtils.js';
+
+// Station times from astronomy-engine, bisected on its apparent longitude
+const SATURN_2025 = {
+  retrograde: new Date('2025-07-13T03:59:57Z'),
+  direct: new Date('2025-11-28T03:49:37Z')
+};
+
+describe('Retrograde Motion', () => {
+  it('should report Saturn retrograde between its 2025 stations', () => {
+    expect(isRetrograde('Saturn', new Date('2025-07-01T00:00:00Z'))).toBe(false);
+    expect(isRetrograde('Saturn', new Date('2025-09-21T00:00:00Z'))).toBe(true);
+    expect(isRetrograde('Saturn', new Date('2025-12-15T00:00:00Z'))).toBe(false);
+  });
+
+  it('should never report the Sun or Moon retrograde', () => {
+    expect(isRetrograde('Sun', new Date('2025-09-21T00:00:00Z'))).toBe(false);
+    expect(isRetrograde('Moon', new Date('2025-09-21T00:00:00Z'))).toBe(false);
+  });
+
+  it('should give speeds in degrees per day', () => {
+    const jd = julianEphemerisDay(new Date('2025-01-01T00:00:00Z'));
+    expect(longitudeSpeed('Mercury', jd)).toBeGreaterThan(0.5);
+    expect(Math.abs(longitudeSpeed('Saturn', jd))).toBeLessThan(0.15);
+  });
+});
+
+describe('Station Finder', () => {
+  it('should find Saturn\'s next station within an hour', () => {
+    const station = findStation('Saturn', new Date('2025-05-01T00:00:00Z'));
+
+    expect(station.type).toBe(STATION_TYPES.RETROGRADE);
+    expect(hoursBetween(station.date, SATURN_2025.retrograde)).toBeLessThan(1);
+    expect(station.longitude).toBeGreaterThan(0);
+    expect(station.longitude).toBeLessThan(5); // ~1° Aries
+  });
+
+  it('should search backward', () => {
+    const station = findStation('Saturn', new Date('2026-01-01T00:00:00Z'), { backward: true });
+
+    expect(station.type).toBe(STATION_TYPES.DIRECT);
+    expect(hoursBetween(station.date, SATURN_2025.direct)).toBeLessThan(1);
+  });
+
+  it('should skip to the requested station type', () => {
+    const station = findStation('Saturn', new Date('2025-05-01T00:00:00Z'), { type: STATION_TYPES.DIRECT });
+    expect(hoursBetween(station.date, SATURN_2025.direct)).toBeLessThan(1);
+  });
+
+  it('should list Mercury\'s stations in order, alternating', () => {
+    const stations = findStations('Mercury', new Date('2025-01-01T00:00:00Z'), new Date('2026-01-01T00:00:00Z'));
+
+    expect(stations).toHaveLength(6);
+    stations.forEach((station, i) => {
+      expect(station.type).toBe(i % 2 === 0 ? STATION_TYPES.RETROGRADE : STATION_TYPES.DIRECT);
+      if (i > 0) expect(station.jd).toBeGreaterThan(stations[i - 1].jd);
+    });
+    expect(hoursBetween(stations[0].date, new Date('2025-03-15T06:47:47Z'))).toBeLessThan(1);
+  });
+
+  it('should return null when nothing is found', () => {
+    expect(findStation('Sun', new Date())).toBeNull();
+    expect(findStation('Saturn', new Date('2025-08-01T00:00:00Z'), { maxDays: 10 })).toBeNull();
+  });
+
+  it('should be reachable from PlanetarySystem', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-09-21T00:00:00Z'));
+
+    expect(system.isRetrograde('Saturn')).toBe(true);
+    expect(hoursBetween(system.findPreviousStation('Saturn').date, SATURN_2025.retrograde)).toBeLessThan(1);
+    expect(hoursBetween(system.findNextStation('Saturn').date, SATURN_2025.direct)).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStore, actions, ACTION_TYPES } from '../../src/lib/store.js';
+import {
+  createLogger,
+  validateActions,
+  createAnalytics,
+  createThrottle,
+  reportRejectedTransitions,
+  UNLOCK_ACTIONS
+} from '../../src/lib/middleware.js';
+import { STAGES } from '../../src/lib/ritualMachine.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+// Stores backed by a no-op persistence so tests never touch localStorage
+
+describe('Store Middleware', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore({ persistence: createMemoryPersistence() });
+  });
+
+  describe('Pipeline', () => {
+    it('should run middleware outermost first around the reducer', () => {
+      const calls = [];
+      const tracer = (name) => ({ getState }) => next => action => {
+        calls.push(`${name}:before:${getState().cubeSecretUnlocked}`);
+        const result = next(action);
+        calls.push(`${name}:after:${getState().cubeSecretUnlocked}`);
+        return result;
+      };
+
+      store.use(tracer('outer'), tracer('inner'));
+      store.dispatch(actions.unlockCubeSecret());
+
+      expect(calls).toEqual([
+        'outer:before:false',
+        'inner:before:false',
+        'inner:after:true',
+        'outer:after:true'
+      ]);
+    });
+
+    it('should allow middleware to be removed again', () => {
+      const seen = vi.fn();
+      const remove = store.use(() => next => action => {
+        seen(action.type);
+        return next(action);
+      });
+
+      store.dispatch(actions.toggleAutoRotate());
+      remove();
+      store.dispatch(actions.toggleAutoRotate());
+
+      expect(seen).toHaveBeenCalledTimes(1);
+      expect(store.getState().autoRotate).toBe(true);
+    });
+
+    it('should let middleware dispatch follow-up actions through the full chain', () => {
+      const seen = [];
+      store.use(
+        () => next => action => {
+          seen.push(action.type);
+          return next(action);
+        },
+        ({ dispatch }) => next => action => {
+          const result = next(action);
+          if (action.type === ACTION_TYPES.UNLOCK_CUBE_SECRET) {
+            dispatch(actions.showSaturn());
+          }
+          return result;
+        }
+      );
+
+      store.dispatch(actions.unlockCubeSecret());
+      expect(seen).toEqual([ACTION_TYPES.UNLOCK_CUBE_SECRET, ACTION_TYPES.SHOW_SATURN]);
+      expect(store.getState().stage).toBe(STAGES.SATURN);
+    });
+  });
+
+  describe('Validator', () => {
+    it('should reject unknown types and malformed payloads', () => {
+      const onInvalid = vi.fn();
+      store.use(validateActions({ onInvalid }));
+
+      store.dispatch({ type: 'SUMMON_DEMON' });
+      store.dispatch({ type: ACTION_TYPES.UPDATE_MOUSE_POSITION, payload: { x: 'left' } });
+      store.dispatch({ type: ACTION_TYPES.SET_AUTO_ROTATE, payload: 'yes' });
+
+      expect(onInvalid).toHaveBeenCalledTimes(3);
+      expect(store.getState().lastAction).toBeNull();
+      expect(store.getState().autoRotate).toBe(true);
+    });
+
+    it('should pass valid actions through', () => {
+      const onInvalid = vi.fn();
+      store.use(validateActions({ onInvalid }));
+
+      store.dispatch(actions.updateMousePosition(0.25, -0.5));
+      store.dispatch(actions.setAutoRotate(false));
+
+      expect(onInvalid).not.toHaveBeenCalled();
+      expect(store.getState().mouseX).toBe(0.25);
+      expect(store.getState().autoRotate).toBe(false);
+    });
+  });
+
+  describe('Analytics', () => {
+    it('should report unlock actions with the updated state', () => {
+      const handler = vi.fn();
+      store.use(createAnalytics(handler, { filter: UNLOCK_ACTIONS }));
+
+      store.dispatch(actions.updateMousePosition(0, 0));
+      store.dispatch(actions.unlockSaturnSecret());
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      const [action, state] = handler.mock.calls[0];
+      expect(action.type).toBe(ACTION_TYPES.UNLOCK_SATURN_SECRET);
+      expect(state.saturnSecretUnlocked).toBe(true);
+    });
+
+    it('should survive a throwing handler', () => {
+      store.use(createAnalytics(() => { throw new Error('boom'); }));
+
+      expect(() => store.dispatch(actions.unlockCubeSecret())).not.toThrow();
+      expect(store.getState().cubeSecretUnlocked).toBe(true);
+    });
+  });
+
+  describe('Throttle', () => {
+    it('should drop repeats inside the interval', () => {
+      let time = 1000;
+      store.use(createThrottle(
+        { [ACTION_TYPES.UPDATE_MOUSE_POSITION]: 16 },
+        { now: () => time }
+      ));
+
+      store.dispatch(actions.updateMousePosition(0.1, 0.1));
+      time += 5;
+      store.dispatch(actions.updateMousePosition(0.2, 0.2));
+      expect(store.getState().mouseX).toBe(0.1);
+
+      time += 20;
+      store.dispatch(actions.updateMousePosition(0.3, 0.3));
+      expect(store.getState().mouseX).toBe(0.3);
+    });
+
+    it('should leave other action types alone', () => {
+      store.use(createThrottle({ [ACTION_TYPES.UPDATE_MOUSE_POSITION]: 1000 }, { now: () => 0 }));
+
+      store.dispatch(actions.toggleAutoRotate());
+      store.dispatch(actions.toggleAutoRotate());
+      expect(store.getState().autoRotate).toBe(true);
+    });
+  });
+
+  describe('Rejected Transitions', () => {
+    it('should report stage changes the state machine refuses', () => {
+      const onRejected = vi.fn();
+      store.use(reportRejectedTransitions({ onRejected }));
+
+      store.dispatch(actions.showFlower());
+      store.dispatch(actions.toggleAutoRotate());
+
+      expect(onRejected).toHaveBeenCalledTimes(1);
+      const [rejection, action] = onRejected.mock.calls[0];
+      expect(action.type).toBe(ACTION_TYPES.SHOW_FLOWER);
+      expect(rejection.from).toBe(STAGES.CUBE);
+      expect(rejection.to).toBe(STAGES.FLOWER);
+    });
+  });
+
+  describe('Logger', () => {
+    it('should log actions with before and after state', () => {
+      const logger = { log: vi.fn() };
+      store.use(createLogger({ logger }));
+
+      store.dispatch(actions.updateMousePosition(0.1, 0.1));
+      store.dispatch(actions.unlockCubeSecret());
+
+      expect(logger.log).toHaveBeenCalledTimes(1);
+      const [label, entry] = logger.log.mock.calls[0];
+      expect(label).toContain(ACTION_TYPES.UNLOCK_CUBE_SECRET);
+      expect(entry.prevState.cubeSecretUnlocked).toBe(false);
+      expect(entry.nextState.cubeSecretUnlocked).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { get } from 'svelte/store';
+import { createStore, actions, migrations, STORAGE_KEY, SCHEMA_VERSION } from '../../src/lib/store.js';
+import { createPersistence, migrate } from '../../src/lib/persistence.js';
+import { STAGES } from '../../src/lib/ritualMachine.js';
+
+// Minimal in-memory Storage so tests don't share the real localStorage
+function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    data
+  };
+}
+
+describe('Store Persistence', () => {
+  let storage;
+  let persistence;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    persistence = createPersistence({ key: STORAGE_KEY, version: SCHEMA_VERSION, migrations, storage });
+  });
+
+  it('should start from initial state when nothing is saved', () => {
+    const store = createStore({ persistence });
+    const state = get(store);
+
+    expect(state.stage).toBe(STAGES.CUBE);
+    expect(state.cubeSecretUnlocked).toBe(false);
+    expect(storage.data.size).toBe(0);
+  });
+
+  it('should save unlocked secrets and the current stage', () => {
+    const store = createStore({ persistence });
+    store.dispatch(actions.unlockCubeSecret());
+    store.dispatch(actions.showSaturn());
+
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    expect(saved.version).toBe(SCHEMA_VERSION);
+    expect(saved.data.cubeSecretUnlocked).toBe(true);
+    expect(saved.data.stage).toBe(STAGES.SATURN);
+  });
+
+  it('should restore progress into a new store', () => {
+    const first = createStore({ persistence });
+    first.dispatch(actions.unlockCubeSecret());
+    first.dispatch(actions.showSaturn());
+    first.dispatch(actions.unlockSaturnSecret());
+    first.dispatch(actions.showTriangle());
+
+    const second = createStore({ persistence });
+    const state = get(second);
+    expect(state.cubeSecretUnlocked).toBe(true);
+    expect(state.saturnSecretUnlocked).toBe(true);
+    expect(state.trinitySecretUnlocked).toBe(false);
+    expect(state.stage).toBe(STAGES.TRIANGLE);
+  });
+
+  it('should not persist transient input like mouse position', () => {
+    const store = createStore({ persistence });
+    store.dispatch(actions.unlockCubeSecret());
+    const before = storage.getItem(STORAGE_KEY);
+
+    store.dispatch(actions.updateMousePosition(0.5, -0.5));
+    expect(storage.getItem(STORAGE_KEY)).toBe(before);
+    expect(JSON.parse(before).data.mouseX).toBeUndefined();
+  });
+
+  it('should clear the persisted copy on reset', () => {
+    const store = createStore({ persistence });
+    store.dispatch(actions.unlockCubeSecret());
+    expect(storage.getItem(STORAGE_KEY)).not.toBeNull();
+
+    store.reset();
+    expect(storage.getItem(STORAGE_KEY)).toBeNull();
+    expect(get(store).cubeSecretUnlocked).toBe(false);
+  });
+
+  it('should ignore corrupt or inconsistent saves', () => {
+    storage.setItem(STORAGE_KEY, '{not json');
+    expect(get(createStore({ persistence })).stage).toBe(STAGES.CUBE);
+
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SCHEMA_VERSION,
+      data: { stage: 'abyss', cubeSecretUnlocked: 'yes' }
+    }));
+    const state = get(createStore({ persistence }));
+    expect(state.stage).toBe(STAGES.CUBE);
+    expect(state.cubeSecretUnlocked).toBe(false);
+  });
+
+  it('should not restore a stage whose secret is no longer unlocked', () => {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: SCHEMA_VERSION,
+      data: { stage: STAGES.FLOWER, cubeSecretUnlocked: true, saturnSecretUnlocked: true, trinitySecretUnlocked: false }
+    }));
+
+    const state = get(createStore({ persistence }));
+    expect(state.stage).toBe(STAGES.CUBE);
+    expect(state.saturnSecretUnlocked).toBe(true);
+  });
+
+  it('should migrate v1 saves with show* booleans to a stage', () => {
+    storage.setItem(STORAGE_KEY, JSON.stringify({
+      version: 1,
+      data: {
+        showCube: false,
+        showSaturn: false,
+        showTriangle: true,
+        showFlower: false,
+        cubeSecretUnlocked: true,
+        saturnSecretUnlocked: true,
+        trinitySecretUnlocked: false
+      }
+    }));
+
+    const state = get(createStore({ persistence }));
+    expect(state.stage).toBe(STAGES.TRIANGLE);
+    expect(state.showTriangle).toBeUndefined();
+    expect(state.saturnSecretUnlocked).toBe(true);
+  });
+});
+
+describe('Schema Migrations', () => {
+  it('should run migrations in order up to the target version', () => {
+    const migrations = {
+      2: (data) => ({ ...data, renamed: data.old }),
+      3: (data) => ({ ...data, added: true })
+    };
+
+    const result = migrate({ version: 1, data: { old: 'value' } }, 3, migrations);
+    expect(result).toEqual({ old: 'value', renamed: 'value', added: true });
+  });
+
+  it('should reject saves from a newer schema', () => {
+    expect(migrate({ version: 5, data: {} }, 3, {})).toBeNull();
+  });
+
+  it('should reject saves with a missing migration step', () => {
+    expect(migrate({ version: 1, data: {} }, 3, { 3: (data) => data })).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createStore, actions, ACTION_TYPES } from '../../src/lib/store.js';
+import {
+  createRecorder,
+  createManualClock,
+  replay,
+  parseLog,
+  serializeLog
+} from '../../src/lib/recorder.js';
+import { STAGES } from '../../src/lib/ritualMachine.js';
+import { PERFORMANCE } from '../../src/lib/three-core/utils/Constants.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+describe('Action Recorder', () => {
+  let clock;
+  let store;
+  let recorder;
+
+  beforeEach(() => {
+    clock = createManualClock(1_700_000_000_000);
+    store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+    recorder = createRecorder({ now: clock.now });
+    store.use(recorder.middleware);
+  });
+
+  it('should record actions with timestamps relative to the start', () => {
+    recorder.start();
+    clock.advance(250);
+    store.dispatch(actions.toggleAutoRotate());
+    clock.advance(6000);
+    store.dispatch(actions.unlockCubeSecret());
+
+    const log = recorder.getLog();
+    expect(log.startedAt).toBe(1_700_000_000_000);
+    expect(log.entries).toEqual([
+      { t: 250, action: { type: ACTION_TYPES.TOGGLE_AUTO_ROTATE } },
+      { t: 6250, action: { type: ACTION_TYPES.UNLOCK_CUBE_SECRET } }
+    ]);
+  });
+
+  it('should only record while started', () => {
+    store.dispatch(actions.toggleAutoRotate());
+    recorder.start();
+    store.dispatch(actions.toggleAutoRotate());
+    recorder.stop();
+    store.dispatch(actions.toggleAutoRotate());
+
+    expect(recorder.getLog().entries).toHaveLength(1);
+    expect(recorder.isRecording()).toBe(false);
+  });
+
+  it('should capture the progress the session started from', () => {
+    store.dispatch(actions.unlockCubeSecret());
+    recorder.start();
+
+    const log = recorder.getLog();
+    expect(log.initial.cubeSecretUnlocked).toBe(true);
+    expect(log.initial.mouseX).toBeUndefined();
+  });
+
+  it('should not be affected by later mutation of dispatched actions', () => {
+    recorder.start();
+    const action = actions.updateMousePosition(0.1, 0.2);
+    store.dispatch(action);
+    action.payload.x = 99;
+
+    expect(recorder.getLog().entries[0].action.payload.x).toBe(0.1);
+  });
+});
+
+describe('Deterministic Replay', () => {
+  function recordSession() {
+    const clock = createManualClock(1_700_000_000_000);
+    const store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+    const recorder = createRecorder({ now: clock.now });
+    store.use(recorder.middleware);
+
+    const states = [];
+    store.use(({ getState }) => next => action => {
+      const result = next(action);
+      states.push(getState());
+      return result;
+    });
+
+    recorder.start();
+    const script = [
+      [400, actions.toggleAutoRotate()],
+      [16, actions.updateMousePosition(0.3, -0.2)],
+      [2100, actions.unlockCubeSecret()],
+      [900, actions.showSaturn()],
+      [6000, actions.unlockSaturnSecret()]
+    ];
+    script.forEach(([delay, action]) => {
+      clock.advance(delay);
+      store.dispatch(action);
+    });
+
+    return { log: recorder.getLog(), states };
+  }
+
+  it('should reproduce every state of the original session exactly', () => {
+    const { log, states } = recordSession();
+    const result = replay(serializeLog(log));
+
+    expect(result.states).toEqual(states);
+    expect(result.store.getState().saturnSecretUnlocked).toBe(true);
+  });
+
+  it('should advance the injected clock to each recorded moment', () => {
+    const { log } = recordSession();
+    const moments = [];
+
+    replay(log, { onStep: (entry, state) => moments.push(state.timestamp - log.startedAt) });
+    expect(moments).toEqual([400, 416, 2516, 3416, 9416]);
+  });
+
+  it('should start replay from the recorded progress', () => {
+    const log = {
+      version: 1,
+      startedAt: 0,
+      initial: { cubeSecretUnlocked: true, stage: 'cube' },
+      entries: [{ t: 10, action: { type: ACTION_TYPES.SHOW_SATURN } }]
+    };
+
+    const { store } = replay(log);
+    expect(store.getState().cubeSecretUnlocked).toBe(true);
+    expect(store.getState().stage).toBe('saturn');
+  });
+
+  it('should replay a session recorded in magic mode', () => {
+    const clock = createManualClock(0);
+    const store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+    const recorder = createRecorder({ now: clock.now });
+    store.use(recorder.middleware);
+
+    // The debug grant turns magic mode on before installing the recorder
+    store.dispatch(actions.setMagicMode(true));
+    store.dispatch(actions.setPerformanceMode(PERFORMANCE.MODES.BALANCED));
+    recorder.start();
+    clock.advance(100);
+    store.dispatch(actions.showFlower());
+    expect(store.getState().stage).toBe(STAGES.FLOWER);
+
+    const { store: replayed } = replay(serializeLog(recorder.getLog()));
+    expect(replayed.getState().stage).toBe(STAGES.FLOWER);
+    expect(replayed.getState().magicMode).toBe(true);
+    expect(replayed.getState().performanceMode).toBe(PERFORMANCE.MODES.BALANCED);
+  });
+
+  it('should reject recordings it cannot understand', () => {
+    expect(() => parseLog({ version: 99, startedAt: 0, entries: [] })).toThrow(/version/);
+    expect(() => parseLog({ version: 1, entries: 'nope' })).toThrow(/Malformed/);
+  });
+});
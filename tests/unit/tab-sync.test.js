@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createStore, actions } from '../../src/lib/store.js';
+import { createManualClock } from '../../src/lib/recorder.js';
+import { createTabSync } from '../../src/lib/tabSync.js';
+import { STAGES } from '../../src/lib/ritualMachine.js';
+import { createMemoryPersistence } from '../helpers/TestUtils.js';
+
+// Synchronous in-memory stand-in for BroadcastChannel - delivers to every other member
+function createChannelHub() {
+  const members = new Set();
+  return {
+    sent: [],
+    join() {
+      const channel = {
+        onmessage: null,
+        postMessage: (data) => {
+          this.sent.push(data);
+          members.forEach(member => {
+            if (member !== channel && member.onmessage) member.onmessage({ data: structuredClone(data) });
+          });
+        },
+        close: () => members.delete(channel)
+      };
+      members.add(channel);
+      return channel;
+    }
+  };
+}
+
+function createTab(hub, clock) {
+  const store = createStore({ now: clock.now, persistence: createMemoryPersistence() });
+  const sync = createTabSync({ channel: hub.join(), now: clock.now });
+  store.use(sync.middleware);
+  return { store, sync };
+}
+
+describe('Tab Sync', () => {
+  let hub;
+  let clock;
+  let a;
+  let b;
+
+  beforeEach(() => {
+    hub = createChannelHub();
+    clock = createManualClock(1_000_000);
+    a = createTab(hub, clock);
+    b = createTab(hub, clock);
+  });
+
+  it('should share unlocks with other tabs', () => {
+    a.store.dispatch(actions.unlockCubeSecret());
+
+    expect(b.store.getState().cubeSecretUnlocked).toBe(true);
+    expect(b.store.getState().unlockedAt.cube).toBe(1_000_000);
+  });
+
+  it('should never re-lock a secret another tab has unlocked', () => {
+    a.store.dispatch(actions.unlockCubeSecret());
+    b.sync.close();
+    clock.advance(1000);
+    a.store.reset();
+
+    expect(a.store.getState().cubeSecretUnlocked).toBe(false);
+    expect(b.store.getState().cubeSecretUnlocked).toBe(true);
+  });
+
+  it('should keep the earliest unlock time', () => {
+    b.sync.close();
+    a.store.dispatch(actions.unlockCubeSecret());
+    clock.advance(5000);
+
+    const c = createTab(hub, clock);
+    c.store.dispatch(actions.unlockCubeSecret());
+    c.store.dispatch(actions.unlockSaturnSecret());
+
+    expect(a.store.getState().unlockedAt.cube).toBe(1_000_000);
+    expect(a.store.getState().saturnSecretUnlocked).toBe(true);
+  });
+
+  it('should follow stage changes from other tabs', () => {
+    a.store.dispatch(actions.unlockCubeSecret());
+    a.store.dispatch(actions.showSaturn());
+
+    expect(b.store.getState().stage).toBe(STAGES.SATURN);
+  });
+
+  it('should ignore a stage change older than the local one', () => {
+    a.store.dispatch(actions.unlockCubeSecret());
+    clock.advance(10);
+    b.store.dispatch(actions.showSaturn());
+
+    // A message sent before b's stage change arrives late
+    const late = hub.join();
+    late.postMessage({ ...hub.sent[0], stage: STAGES.CUBE, sentAt: clock.now() - 5 });
+
+    expect(b.store.getState().stage).toBe(STAGES.SATURN);
+    expect(a.store.getState().stage).toBe(STAGES.SATURN);
+  });
+
+  it('should not broadcast mouse or rotation updates', () => {
+    const before = hub.sent.length;
+    a.store.dispatch(actions.updateMousePosition(0.5, -0.5));
+    a.store.dispatch(actions.updateRotation(1, 2));
+
+    expect(hub.sent.length).toBe(before);
+    expect(b.store.getState().mouseX).toBe(0);
+  });
+
+  it('should not echo remote changes back', () => {
+    a.store.dispatch(actions.unlockCubeSecret());
+
+    expect(hub.sent).toHaveLength(1);
+    expect(hub.sent[0]).not.toHaveProperty('mouseX');
+  });
+
+  it('should not follow a stage the receiving tab cannot reach', () => {
+    b.store.dispatch(actions.unlockCubeSecret());
+    const channel = hub.join();
+    channel.postMessage({
+      type: 'progress',
+      unlocked: { cube: true, saturn: false, trinity: false },
+      unlockedAt: { cube: 1, saturn: null, trinity: null },
+      stage: STAGES.FLOWER,
+      sentAt: clock.now() + 1
+    });
+
+    expect(b.store.getState().stage).toBe(STAGES.CUBE);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  julianDay,
+  dateFromJulianDay,
+  julianCenturies,
+  deltaT,
+  terrestrialTime,
+  universalTime,
+  julianEphemerisDay,
+  dateFromJulianEphemerisDay,
+  greenwichMeanSiderealTime,
+  greenwichApparentSiderealTime,
+  localMeanSiderealTime,
+  localApparentSiderealTime,
+  J2000
+} from '../../src/lib/astronomy/time.js';
+
+const SECONDS_PER_DAY = 86400;
+const jdOfYear = (year) => J2000 + (year - 2000) * 365.25;
+
+describe('Julian Days', () => {
+  it('should round-trip a Date to the millisecond', () => {
+    const date = new Date('1987-04-10T19:21:00.123Z');
+
+    expect(dateFromJulianDay(julianDay(date)).getTime()).toBe(date.getTime());
+    expect(julianDay(new Date('1987-04-10T00:00:00Z'))).toBe(2446895.5); // Meeus 12.a
+  });
+
+  it('should count Julian centuries from J2000', () => {
+    expect(julianCenturies(J2000)).toBe(0);
+    expect(julianCenturies(J2000 - 36525)).toBe(-1);
+  });
+});
+
+describe('Delta T', () => {
+  // References from astronomy-engine, which uses the same polynomials
+  it.each([
+    [1750, 13.37, 0.5],
+    [1900, -2.76, 0.5],
+    [1955, 31.03, 0.5],
+    [1990, 56.87, 0.5],
+    [2000, 63.85, 0.5],
+    [2025.4, 74.69, 0.5],
+    [2100, 202.65, 1],
+    [800, 2956.02, 5],
+    [-600, 18721.11, 5]
+  ])('should give ΔT in %s', (year, seconds, tolerance) => {
+    expect(Math.abs(deltaT(jdOfYear(year)) - seconds)).toBeLessThan(tolerance);
+  });
+
+  it('should join the polynomials without jumps', () => {
+    [-500, 500, 1600, 1700, 1800, 1860, 1900, 1920, 1941, 1961, 1986, 2005, 2050, 2150].forEach(year => {
+      const jd = jdOfYear(year);
+      expect(Math.abs(deltaT(jd - 1e-6) - deltaT(jd + 1e-6))).toBeLessThan(0.5);
+    });
+  });
+
+  it('should convert between UT and TT both ways', () => {
+    const jd = julianDay(new Date('2025-03-14T06:55:00Z'));
+    const jde = terrestrialTime(jd);
+
+    expect((jde - jd) * SECONDS_PER_DAY).toBeCloseTo(deltaT(jd), 3);
+    expect(universalTime(jde)).toBeCloseTo(jd, 9);
+  });
+
+  it('should round-trip a Date through ephemeris time', () => {
+    const date = new Date('1620-07-01T12:00:00Z');
+
+    expect(julianEphemerisDay(date)).toBeGreaterThan(julianDay(date));
+    expect(Math.abs(dateFromJulianEphemerisDay(julianEphemerisDay(date)) - date)).toBeLessThan(1);
+  });
+});
+
+describe('Sidereal Time', () => {
+  it('should match Meeus examples 12.a and 12.b', () => {
+    expect(greenwichMeanSiderealTime(2446895.5)).toBeCloseTo(197.693195, 5);
+    expect(greenwichMeanSiderealTime(julianDay(new Date('1987-04-10T19:21:00Z')))).toBeCloseTo(128.7378734, 5);
+    // 13h10m46.1351s
+    expect(greenwichApparentSiderealTime(2446895.5)).toBeCloseTo((13 + 10 / 60 + 46.1351 / 3600) * 15, 4);
+  });
+
+  it('should add the longitude for local sidereal time', () => {
+    const jd = julianDay(new Date('2025-06-21T12:00:00Z'));
+
+    expect(localMeanSiderealTime(jd, 0)).toBe(greenwichMeanSiderealTime(jd));
+    expect(localMeanSiderealTime(jd, -75)).toBeCloseTo((greenwichMeanSiderealTime(jd) + 285) % 360, 9);
+    expect(localApparentSiderealTime(jd, 151.2)).toBeCloseTo((greenwichApparentSiderealTime(jd) + 151.2) % 360, 9);
+  });
+
+  it('should keep apparent within about a second of mean sidereal time', () => {
+    const jd = julianDay(new Date('2025-01-01T00:00:00Z'));
+    const difference = greenwichApparentSiderealTime(jd) - greenwichMeanSiderealTime(jd);
+
+    expect(Math.abs(difference) * 240).toBeLessThan(1.2); // seconds of time
+  });
+});
+
+describe('PlanetarySystem time', () => {
+  it('should run positions on ephemeris time', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-14T06:55:00Z'));
+
+    expect((system.getJulianEphemerisDay() - system.getJulianDay()) * SECONDS_PER_DAY).toBeCloseTo(system.getDeltaT(), 3);
+    expect(system.getDate().toISOString()).toBe('2025-03-14T06:55:00.000Z');
+  });
+
+  it('should give sidereal time at a longitude', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('1987-04-10T00:00:00Z'));
+
+    expect(system.getSiderealTime()).toBeCloseTo(197.693195, 5);
+    expect(system.getSiderealTime(-0.1278, { apparent: true })).toBeCloseTo(197.6922296 - 0.1278, 4);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { PlanetarySystem } from '../../src/lib/PlanetarySystem.js';
+import {
+  getZodiacPosition,
+  describeLongitude,
+  formatDegreeMinute,
+  getAyanamsa,
+  EGYPTIAN_TERMS,
+  ZODIACS
+} from '../../src/lib/astronomy/zodiac.js';
+import { julianEphemerisDay, J2000 } from '../../src/lib/astronomy/time.js';
+
+describe('Zodiac', () => {
+  it('should split a longitude into sign, degree and minute', () => {
+    const position = describeLongitude(357.2334);
+
+    expect(position.sign).toBe('Pisces');
+    expect(position.signIndex).toBe(11);
+    expect(position.degree).toBe(27);
+    expect(position.minute).toBe(14);
+    expect(position.degreeInSign).toBeCloseTo(27.2334, 10);
+  });
+
+  it('should format degree-minute labels without rounding up to 60\'', () => {
+    expect(formatDegreeMinute(27.2334)).toBe("27°14'");
+    expect(formatDegreeMinute(3.05)).toBe("3°03'");
+    expect(formatDegreeMinute(29.9999)).toBe("29°59'");
+    expect(formatDegreeMinute(0)).toBe("0°00'");
+  });
+
+  it.each([
+    [5, 'Aries', 1, 'Mars'],
+    [15, 'Aries', 2, 'Sun'],
+    [25, 'Aries', 3, 'Venus'],
+    [35, 'Taurus', 1, 'Mercury'],
+    [125, 'Leo', 1, 'Saturn'],
+    [355, 'Pisces', 3, 'Mars']
+  ])('should give %s° the %s decan %i ruled by %s', (longitude, sign, decan, ruler) => {
+    const position = describeLongitude(longitude);
+
+    expect(position.sign).toBe(sign);
+    expect(position.decan).toBe(decan);
+    expect(position.decanRuler).toBe(ruler);
+  });
+
+  it.each([
+    [0, 'Jupiter'],
+    [11.99, 'Venus'],
+    [12, 'Mercury'],
+    [29.99, 'Saturn'],
+    [30 + 8, 'Mercury'],
+    [240 + 11.5, 'Jupiter'],
+    [330 + 27.5, 'Mars']
+  ])('should give %s° the Egyptian term of %s', (longitude, ruler) => {
+    expect(describeLongitude(longitude).termRuler).toBe(ruler);
+  });
+
+  it('should have terms covering exactly 30° in every sign', () => {
+    EGYPTIAN_TERMS.forEach(terms => {
+      expect(terms).toHaveLength(5);
+      expect(terms[4][1]).toBe(30);
+    });
+  });
+
+  it('should match the standard ayanamsa values', () => {
+    expect(getAyanamsa(J2000, 'lahiri')).toBeCloseTo(23.857, 2);
+    expect(getAyanamsa(J2000, 'fagan-bradley')).toBeCloseTo(24.740, 2);
+    expect(getAyanamsa(julianEphemerisDay(new Date('2025-01-01T00:00:00Z')))).toBeCloseTo(24.206, 2);
+    expect(() => getAyanamsa(J2000, 'krishnamurti')).toThrow('Unknown ayanamsa');
+  });
+
+  it('should label a tropical position', () => {
+    // Saturn at about 353.15° (23° Pisces) on the 2025 equinox
+    const saturn = getZodiacPosition('Saturn', new Date('2025-03-21T00:00:00Z'));
+
+    expect(saturn.sign).toBe('Pisces');
+    expect(saturn.zodiac).toBe(ZODIACS.TROPICAL);
+    expect(saturn.ayanamsa).toBeNull();
+    expect(Math.abs(saturn.longitude - 353.15) * 60).toBeLessThan(15);
+    expect(saturn.label).toMatch(/^Saturn at 2[23]°\d{2}' Pisces$/);
+  });
+
+  it('should put the Sun at 0° Aries at the March equinox', () => {
+    const sun = getZodiacPosition('Sun', new Date('2025-03-20T09:01:00Z'));
+    expect(Math.min(sun.longitude, 360 - sun.longitude) * 60).toBeLessThan(1.5);
+  });
+
+  it('should shift sidereal positions back by the ayanamsa', () => {
+    const date = new Date('2025-03-21T00:00:00Z');
+    const tropical = getZodiacPosition('Mars', date);
+    const lahiri = getZodiacPosition('Mars', date, { zodiac: ZODIACS.SIDEREAL });
+    const fagan = getZodiacPosition('Mars', date, { zodiac: ZODIACS.SIDEREAL, ayanamsa: 'fagan-bradley' });
+
+    expect(lahiri.ayanamsa).toBeCloseTo(24.21, 1);
+    expect((tropical.longitude - lahiri.longitude + 360) % 360).toBeCloseTo(lahiri.ayanamsa, 9);
+    expect(lahiri.longitude - fagan.longitude).toBeCloseTo(0.883, 2);
+  });
+
+  it('should be reachable from PlanetarySystem at its current time', () => {
+    const system = new PlanetarySystem();
+    system.setDate(new Date('2025-03-21T00:00:00Z'));
+
+    expect(system.getZodiacPosition('Saturn').label).toBe(getZodiacPosition('Saturn', new Date('2025-03-21T00:00:00Z')).label);
+    expect(system.getZodiacPosition('Pluto')).toBeNull();
+  });
+});
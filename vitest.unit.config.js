@@ -1,7 +1,9 @@
 import { defineConfig } from 'vitest/config';
 import { resolve } from 'path';
+import secrets from './scripts/vite-plugin-secrets.js';
 
 export default defineConfig({
+  plugins: [secrets()],
   test: {
     globals: true,
     environment: 'node',